@@ -40,6 +40,12 @@ async function main() {
     console.log(`   GET  /health           - Estado del servidor`);
     console.log(`   GET  /api/status       - Estado del último proceso`);
     console.log(`   POST /api/force-update - Forzar actualización manual`);
+    console.log(`   POST /api/uploads      - Subir y procesar un Excel`);
+    console.log(`   GET  /api/publications/:fileName - Versiones publicadas`);
+    console.log(`   POST /api/publications/:id/promote - Promover una versión a producción`);
+    console.log(`   GET  /api/approvals    - Publicaciones pendientes de aprobación`);
+    console.log(`   POST /api/approvals/:id/approve - Aprobar y publicar`);
+    console.log(`   GET  /api/executions/:id/validation - Reporte de validación del Excel`);
     console.log(`   GET  /api/logs         - Ver estadísticas de logs`);
     console.log('');
 
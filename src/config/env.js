@@ -3,8 +3,24 @@
  * Centraliza la carga y validación de todas las variables de entorno
  */
 
+const path = require('path');
 require('dotenv').config();
 
+/**
+ * Lee la lista de aprobadores: "nombre:token,nombre2:token2"
+ */
+function parseApprovers(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+    })
+    .filter(approver => approver.name && approver.token);
+}
+
 const config = {
   // Configuración del servidor
   server: {
@@ -24,7 +40,54 @@ const config = {
     endpoint: process.env.VTEX_ENDPOINT,
     appKey: process.env.VTEX_APP_KEY,
     appToken: process.env.VTEX_APP_TOKEN,
-    account: process.env.VTEX_ACCOUNT
+    account: process.env.VTEX_ACCOUNT,
+    // Master Data v2 (dataentities): cada tipo de archivo puede sobrescribirlo con `masterData` en el registro de tipos
+    masterData: {
+      entity: process.env.VTEX_MD_ENTITY || ((process.env.VTEX_ENDPOINT || '').match(/dataentities\/([^/]+)/) || [])[1] || null,
+      idField: process.env.VTEX_MD_ID_FIELD || 'id',
+      schema: process.env.VTEX_MD_SCHEMA || null,
+      deleteMissing: process.env.VTEX_MD_DELETE_MISSING === 'true',
+      scrollSize: parseInt(process.env.VTEX_MD_SCROLL_SIZE, 10) || 1000
+    },
+    // Reintentos (429, 5xx, errores de red) y circuit breaker de todas las llamadas a VTEX
+    http: {
+      maxRetries: process.env.VTEX_MAX_RETRIES !== undefined ? parseInt(process.env.VTEX_MAX_RETRIES, 10) : 3,
+      baseDelayMs: parseInt(process.env.VTEX_RETRY_BASE_DELAY_MS, 10) || 500,
+      maxDelayMs: parseInt(process.env.VTEX_RETRY_MAX_DELAY_MS, 10) || 30000,
+      circuitBreaker: {
+        threshold: parseInt(process.env.VTEX_BREAKER_THRESHOLD, 10) || 5,
+        cooldownMs: (parseInt(process.env.VTEX_BREAKER_COOLDOWN_SECONDS, 10) || 120) * 1000
+      }
+    }
+  },
+
+  // Configuración del pipeline de publicación
+  pipeline: {
+    // Dry-run: descarga, parsea y valida pero no sube, mueve ni borra nada
+    dryRun: process.env.DRY_RUN === 'true'
+  },
+
+  // Lock entre instancias (lease en el almacenamiento con dueño y vencimiento)
+  lock: {
+    enabled: process.env.LOCK_ENABLED !== 'false',
+    ttlSeconds: parseInt(process.env.LOCK_TTL_SECONDS, 10) || 600
+  },
+
+  // Historial de ejecuciones persistido en disco (JSON lines), relativo a la raíz del proyecto
+  history: {
+    filePath: path.resolve(__dirname, '../..', process.env.HISTORY_FILE || 'data/history/executions.jsonl'),
+    retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30
+  },
+
+  // Fechas de los Excel: zona horaria en la que se cargan (las celdas de fecha no la tienen)
+  dates: {
+    timeZone: process.env.EXCEL_TIMEZONE || 'America/Lima'
+  },
+
+  // Filtro de filas HOME por ventana inicio/fin: publica solo las activas y republica en el próximo inicio o fin
+  homeWindow: {
+    enabled: process.env.HOME_WINDOW_FILTER === 'true',
+    timeZone: process.env.HOME_WINDOW_TIMEZONE || process.env.EXCEL_TIMEZONE || 'America/Lima'
   },
 
   // Configuración del cron job
@@ -38,10 +101,26 @@ const config = {
     enableAuth: process.env.ENABLE_AUTH === 'true'
   },
 
+  // Aprobación previa a publicar (ambientes con requiresApproval en el registro de ambientes VTEX)
+  approval: {
+    expiresInHours: parseFloat(process.env.APPROVAL_EXPIRES_HOURS) || 48,
+    webhookUrl: process.env.APPROVAL_WEBHOOK_URL,
+    approvers: parseApprovers(process.env.APPROVAL_APPROVERS)
+  },
+
   // Configuración de Google Cloud Platform
   gcp: {
     projectId: 'prd-promart-ec-maps-chk-api',
     bucketName: 'bucket-sheetbridge-prd-data',
+    // Relativo a la raíz del proyecto (no al directorio desde el que se levanta el proceso)
+    keyFilename: path.resolve(__dirname, '../..', process.env.GCP_KEY_FILE || 'gcp-service-account.json')
+  },
+
+  // Backend de almacenamiento: 'gcs' (bucket de GCP) o 'local' (directorio con la misma estructura,
+  // relativo a la raíz del proyecto)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'gcs',
+    localDir: path.resolve(__dirname, '../..', process.env.STORAGE_LOCAL_DIR || 'data/bucket')
   },
 
   // Configuración de logs
@@ -85,10 +164,22 @@ function printConfig() {
   console.log(`   Entorno: ${config.server.nodeEnv}`);
   console.log(`   Archivo Excel: ${config.files.excelPath}`);
   console.log(`   Cron Schedule: ${config.cron.schedule}`);
+  console.log(`   Dry-run: ${config.pipeline.dryRun ? 'Activado (no se publica nada)' : 'Desactivado'}`);
   console.log(`   Autenticación: ${config.security.enableAuth ? 'Habilitada' : 'Deshabilitada'}`);
   console.log(`   Nivel de logs: ${config.logging.level}`);
-  console.log(`   GCP Project: ${config.gcp.projectId}`);
-  console.log(`   GCP Bucket: ${config.gcp.bucketName}`);
+  console.log(`   Reintentos VTEX: ${config.vtex.http.maxRetries} (circuit breaker tras ${config.vtex.http.circuitBreaker.threshold} fallos seguidos)`);
+  console.log(`   Zona horaria de los Excel: ${config.dates.timeZone}`);
+  console.log(`   Filtro por ventana HOME: ${config.homeWindow.enabled ? `Activado (${config.homeWindow.timeZone})` : 'Desactivado'}`);
+  console.log(`   Aprobadores: ${config.approval.approvers.length} (las aprobaciones vencen a las ${config.approval.expiresInHours}h)`);
+  console.log(`   Lock entre instancias: ${config.lock.enabled ? `Habilitado (vence a los ${config.lock.ttlSeconds}s)` : 'Deshabilitado'}`);
+  console.log(`   Historial: ${config.history.filePath} (${config.history.retentionDays} días)`);
+  console.log(`   Almacenamiento: ${config.storage.driver}`);
+  if (config.storage.driver === 'local') {
+    console.log(`   Directorio local: ${config.storage.localDir}`);
+  } else {
+    console.log(`   GCP Project: ${config.gcp.projectId}`);
+    console.log(`   GCP Bucket: ${config.gcp.bucketName}`);
+  }
 }
 
 module.exports = {
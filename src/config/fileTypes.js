@@ -0,0 +1,172 @@
+/**
+ * Registro declarativo de tipos de archivo
+ * Carga desde un archivo JSON la definición de cada familia de hojas (HOME_, LOCATIONS_, ...)
+ * y centraliza la detección por nombre de archivo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { slugify } = require('../utils/string');
+const vtexEnvironments = require('./vtexEnvironments');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, 'fileTypes.json');
+const PROCESSORS = ['sheets', 'matrix', 'sellers', 'blacklist', 'variantes'];
+
+/**
+ * Registro de tipos de archivo soportados por el pipeline
+ */
+class FileTypeRegistry {
+  constructor(configPath = process.env.FILE_TYPES_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.configPath = path.resolve(configPath);
+    this.load();
+  }
+
+  /**
+   * Lee y valida el archivo de configuración
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    if (!Array.isArray(raw.fileTypes) || raw.fileTypes.length === 0) {
+      throw new Error(`El registro de tipos de archivo no define fileTypes: ${this.configPath}`);
+    }
+
+    // Los ambientes (tokens _RD_, _PRD_, ...) vienen del registro de ambientes VTEX salvo que se fijen acá
+    this.environments = (raw.environments || vtexEnvironments.getNames()).map(env => String(env).toUpperCase());
+    this.fileTypes = raw.fileTypes.map(def => this.validateDefinition(def));
+    this.fallback = raw.fallback ? this.validateDefinition(raw.fallback) : null;
+  }
+
+  /**
+   * Verifica que una definición tenga los campos mínimos requeridos
+   */
+  validateDefinition(def) {
+    const missing = ['type', 'allowedSheets', 'processor', 'outputFileName', 'archivePrefix']
+      .filter(field => def[field] === undefined || def[field] === null);
+
+    if (missing.length > 0) {
+      throw new Error(`Tipo de archivo '${def.type || '?'}' sin campos requeridos: ${missing.join(', ')}`);
+    }
+    if (!PROCESSORS.includes(def.processor)) {
+      throw new Error(`Tipo de archivo '${def.type}' usa un processor desconocido: ${def.processor}`);
+    }
+    const { dataEntities } = def;
+    if (dataEntities !== undefined && typeof dataEntities !== 'boolean' && !(dataEntities && Array.isArray(dataEntities.except))) {
+      throw new Error(`Tipo de archivo '${def.type}' usa un dataEntities inválido: ${JSON.stringify(dataEntities)} (true, false o { "except": [...] })`);
+    }
+    if (def.dateFormat !== undefined && !['iso', 'excel'].includes(def.dateFormat) && !/yyyy|mm|dd|HH|MM|SS/.test(String(def.dateFormat))) {
+      throw new Error(`Tipo de archivo '${def.type}' usa un dateFormat inválido: ${def.dateFormat} ('iso', 'excel' o un patrón con yyyy, mm, dd, HH, MM, SS)`);
+    }
+
+    // schema: JSON Schema del JSON generado en src/schemas/ (por defecto <type>.schema.json; null para no validar)
+    // dateFormat: formato de las celdas de fecha en el JSON (por defecto 'iso', con el offset de EXCEL_TIMEZONE;
+    // 'excel' deja el texto con el formato de la celda en Excel)
+    return {
+      prefix: '',
+      perSheet: false,
+      ignoreLeadingSymbols: false,
+      dataEntities: false,
+      masterData: null,
+      schema: `${def.type}.schema.json`,
+      dateFormat: 'iso',
+      ...def
+    };
+  }
+
+  /**
+   * Normaliza el nombre de archivo para compararlo contra el prefijo de un tipo
+   */
+  normalizeName(fileName, def) {
+    const upper = String(fileName || '').toUpperCase();
+    return def.ignoreLeadingSymbols ? upper.replace(/^[^A-Z0-9]+/, '') : upper;
+  }
+
+  /**
+   * Busca la definición que corresponde al nombre de archivo
+   * @param {string} fileName - Nombre del archivo Excel fuente
+   * @returns {object|null} Definición del tipo o null si no coincide ninguno
+   */
+  resolve(fileName) {
+    return this.fileTypes.find(def =>
+      def.prefix && this.normalizeName(fileName, def).startsWith(def.prefix.toUpperCase())
+    ) || null;
+  }
+
+  /**
+   * Igual que resolve() pero devuelve la definición fallback para archivos desconocidos
+   */
+  resolveOrFallback(fileName) {
+    return this.resolve(fileName) || this.fallback;
+  }
+
+  /**
+   * Obtiene la definición de un tipo por su nombre
+   */
+  get(type) {
+    if (this.fallback && this.fallback.type === type) return this.fallback;
+    return this.fileTypes.find(def => def.type === type) || null;
+  }
+
+  /**
+   * Detecta el ambiente (RD, PRD, ...) a partir del token que sigue al prefijo
+   * Ej: HOME_RD_2025.xlsx → 'RD'
+   * @returns {string|null}
+   */
+  detectEnvironment(fileName) {
+    const def = this.resolve(fileName);
+    if (!def) return null;
+
+    const rest = this.normalizeName(fileName, def).slice(def.prefix.length);
+    return this.environments.find(env => rest.startsWith(`${env}_`)) || null;
+  }
+
+  /**
+   * Indica si el tipo debe enviarse a dataentities para el ambiente dado
+   * `dataEntities` puede ser boolean o { except: [...] } con los ambientes que no van a dataentities
+   * (ej: HOME_PRD_ no va; HOME_RD_, un ambiente nuevo o un archivo sin ambiente sí)
+   */
+  sendsToDataEntities(def, environment) {
+    if (!def) return false;
+    if (def.dataEntities && Array.isArray(def.dataEntities.except)) {
+      return !def.dataEntities.except.map(env => String(env).toUpperCase()).includes(environment);
+    }
+    return def.dataEntities === true;
+  }
+
+  /**
+   * Nombre del archivo publicado en el portal VTEX
+   */
+  getOutputFileName(def, sheetName = null) {
+    return this.applySheetTemplate(def.outputFileName, sheetName);
+  }
+
+  /**
+   * Prefijo del archivo archivado en el bucket
+   */
+  getArchivePrefix(def, sheetName = null) {
+    return this.applySheetTemplate(def.archivePrefix, sheetName);
+  }
+
+  /**
+   * Reemplaza el token {sheet} por el nombre de la hoja en slug
+   * Sin hoja, se elimina el token junto con su separador (destacados_{sheet} → destacados)
+   */
+  applySheetTemplate(template, sheetName) {
+    if (sheetName) {
+      return template.replace('{sheet}', slugify(sheetName));
+    }
+    return template.replace(/[_-]?\{sheet\}/, '');
+  }
+
+  /**
+   * Lista de tipos registrados
+   */
+  getTypes() {
+    return this.fileTypes.map(def => def.type);
+  }
+}
+
+// Crear instancia singleton
+const fileTypeRegistry = new FileTypeRegistry();
+
+module.exports = fileTypeRegistry;
@@ -0,0 +1,91 @@
+/**
+ * Registro de reglas de negocio de las hojas HOME
+ * Carga desde un archivo JSON qué reglas se aplican (ventanas, fechas, SKUs repetidos, imágenes),
+ * sus opciones y el nivel de cada una por hoja: 'blocking' (no se publica), 'warning' (se informa) u 'off'
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, 'homeRules.json');
+const RULES = ['windowOrder', 'dateFormat', 'duplicateSku', 'imageUrl'];
+const LEVELS = ['blocking', 'warning', 'off'];
+
+/**
+ * Registro de reglas HOME
+ */
+class HomeRuleRegistry {
+  constructor(configPath = process.env.HOME_RULES_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.configPath = path.resolve(configPath);
+    this.load();
+  }
+
+  /**
+   * Lee y valida el archivo de configuración
+   * La entrada "*" de sheets son los niveles por defecto; cada hoja pisa solo las reglas que declara
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    this.fileTypes = Array.isArray(raw.fileTypes) ? raw.fileTypes : ['home'];
+    this.options = Object.fromEntries(RULES.map(rule => [rule, (raw.rules || {})[rule] || {}]));
+
+    const unknown = Object.keys(raw.rules || {}).filter(rule => !RULES.includes(rule));
+    if (unknown.length > 0) {
+      throw new Error(`Reglas HOME desconocidas en ${this.configPath}: ${unknown.join(', ')}`);
+    }
+
+    this.sheets = {};
+    for (const [sheetName, levels] of Object.entries(raw.sheets || {})) {
+      for (const [rule, level] of Object.entries(levels)) {
+        if (!RULES.includes(rule)) {
+          throw new Error(`La hoja '${sheetName}' configura una regla HOME desconocida: ${rule}`);
+        }
+        if (!LEVELS.includes(level)) {
+          throw new Error(`La regla '${rule}' de la hoja '${sheetName}' tiene un nivel inválido: ${level} (${LEVELS.join(', ')})`);
+        }
+      }
+      this.sheets[this.normalizeSheetName(sheetName)] = levels;
+    }
+  }
+
+  normalizeSheetName(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  /**
+   * Indica si las reglas se aplican a un tipo de archivo
+   */
+  appliesTo(fileTypeDef) {
+    return Boolean(fileTypeDef) && this.fileTypes.includes(fileTypeDef.type);
+  }
+
+  /**
+   * Nivel de cada regla para una hoja (sin configurar: 'off')
+   * @returns {object} { regla: 'blocking'|'warning'|'off' }
+   */
+  getLevels(sheetName) {
+    const defaults = this.sheets['*'] || {};
+    const own = this.sheets[this.normalizeSheetName(sheetName)] || {};
+    return Object.fromEntries(RULES.map(rule => [rule, own[rule] || defaults[rule] || 'off']));
+  }
+
+  /**
+   * Opciones de una regla (ej: { field: 'sku' } para duplicateSku)
+   */
+  getOptions(rule) {
+    return this.options[rule] || {};
+  }
+
+  /**
+   * Lista de reglas soportadas
+   */
+  getRules() {
+    return [...RULES];
+  }
+}
+
+// Crear instancia singleton
+const homeRuleRegistry = new HomeRuleRegistry();
+
+module.exports = homeRuleRegistry;
@@ -0,0 +1,131 @@
+/**
+ * Registro de ambientes VTEX
+ * Carga desde un archivo JSON cada ambiente (RD, PRD, ...) con su cuenta, sitio del portal, URL base,
+ * referencia de credenciales y tipos de archivo permitidos. El ambiente de un Excel se resuelve
+ * por el token que sigue al prefijo del tipo (HOME_RD_... → RD)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, 'vtexEnvironments.json');
+
+/**
+ * Registro de ambientes/cuentas VTEX
+ */
+class VtexEnvironmentRegistry {
+  constructor(configPath = process.env.VTEX_ENVIRONMENTS_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.configPath = path.resolve(configPath);
+    this.load();
+  }
+
+  /**
+   * Lee y valida el archivo de configuración
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    if (!Array.isArray(raw.environments) || raw.environments.length === 0) {
+      throw new Error(`El registro de ambientes VTEX no define environments: ${this.configPath}`);
+    }
+
+    this.environments = raw.environments.map(def => this.validateDefinition(def));
+    this.defaultName = raw.default ? String(raw.default).toUpperCase() : null;
+    if (this.defaultName && !this.get(this.defaultName)) {
+      throw new Error(`El ambiente VTEX por defecto '${raw.default}' no está definido`);
+    }
+    for (const def of this.environments.filter(env => env.promoteTo)) {
+      if (!this.get(def.promoteTo)) {
+        throw new Error(`El ambiente VTEX '${def.name}' promueve a '${def.promoteTo}', que no está definido`);
+      }
+    }
+  }
+
+  /**
+   * Verifica los campos requeridos y completa los opcionales
+   * - site: sitio del portal (por defecto, la cuenta)
+   * - baseUrl: por defecto https://<account>.myvtex.com/api
+   * - credentials: prefijo de las variables de entorno <REF>_APP_KEY / <REF>_APP_TOKEN (por defecto VTEX)
+   * - allowedFileTypes: '*' o lista de tipos del registro de tipos de archivo
+   * - promoteTo: ambiente al que se promueven sus publicaciones (ej: RD → PRD)
+   * - requiresApproval: true, false o lista de tipos que se publican solo después de aprobarlos
+   */
+  validateDefinition(def) {
+    const missing = ['name', 'account'].filter(field => !def[field]);
+    if (missing.length > 0) {
+      throw new Error(`Ambiente VTEX '${def.name || '?'}' sin campos requeridos: ${missing.join(', ')}`);
+    }
+
+    return {
+      site: def.account,
+      baseUrl: `https://${def.account}.myvtex.com/api`,
+      credentials: 'VTEX',
+      allowedFileTypes: '*',
+      promoteTo: null,
+      requiresApproval: false,
+      ...def,
+      name: String(def.name).toUpperCase()
+    };
+  }
+
+  /**
+   * Nombres de los ambientes (tokens válidos en el nombre del archivo)
+   */
+  getNames() {
+    return this.environments.map(def => def.name);
+  }
+
+  /**
+   * Obtiene un ambiente por nombre
+   */
+  get(name) {
+    if (!name) return null;
+    return this.environments.find(def => def.name === String(name).toUpperCase()) || null;
+  }
+
+  /**
+   * Ambiente de una cuenta (para versiones registradas sin ambiente)
+   */
+  findByAccount(account) {
+    return this.environments.find(def => def.account === account) || null;
+  }
+
+  /**
+   * Ambiente a usar: el indicado o, si no hay token en el nombre del archivo, el ambiente por defecto
+   * @returns {object|null}
+   */
+  resolve(name) {
+    return this.get(name) || this.get(this.defaultName);
+  }
+
+  /**
+   * Indica si el ambiente acepta publicaciones del tipo de archivo
+   */
+  isFileTypeAllowed(def, fileType) {
+    if (def.allowedFileTypes === '*') return true;
+    return Array.isArray(def.allowedFileTypes) && def.allowedFileTypes.includes(fileType);
+  }
+
+  /**
+   * Credenciales del ambiente, leídas de las variables de entorno que indica su referencia
+   * @returns {{appKey: string|undefined, appToken: string|undefined}}
+   */
+  getCredentials(def) {
+    return {
+      appKey: process.env[`${def.credentials}_APP_KEY`],
+      appToken: process.env[`${def.credentials}_APP_TOKEN`]
+    };
+  }
+
+  /**
+   * Ruta de archivos del portal (CMS) del ambiente
+   */
+  getPortalEndpoint(def) {
+    return `/portal/pvt/sites/${def.site}/files`;
+  }
+}
+
+// Crear instancia singleton
+const vtexEnvironments = new VtexEnvironmentRegistry();
+
+module.exports = vtexEnvironments;
@@ -4,14 +4,18 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const { catchAsync, createError } = require('../utils/errorHandler');
 const { logOperations, getLogStats } = require('../utils/logger');
 const { getErrorStats } = require('../utils/errorHandler');
 const { config } = require('../config/env');
+const fileTypeRegistry = require('../config/fileTypes');
 const router = express.Router();
 
 // Importar servicios (se crearán en los siguientes pasos)
-let excelService, vtexService, processStatus;
+let excelService, vtexService, processStatus, publicationService, diffService, lockService, pipelineService, approvalService, validationReportService;
 
 // Lazy loading de servicios para evitar dependencias circulares
 function getServices() {
@@ -19,8 +23,67 @@ function getServices() {
     excelService = require('../services/excelService');
     vtexService = require('../services/vtexService');
     processStatus = require('../services/processStatus');
+    publicationService = require('../services/publicationService');
+    diffService = require('../services/diffService');
+    lockService = require('../services/lockService');
+    pipelineService = require('../services/pipelineService');
+    approvalService = require('../services/approvalService');
+    validationReportService = require('../services/validationReportService');
   }
-  return { excelService, vtexService, processStatus };
+  return { excelService, vtexService, processStatus, publicationService, diffService, lockService, pipelineService, approvalService, validationReportService };
+}
+
+/**
+ * Responde 409 cuando otra instancia tiene el lock del pipeline
+ */
+function respondLocked(res, holder) {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Otra instancia está procesando',
+      holder: holder ? { owner: holder.owner, purpose: holder.purpose, acquiredAt: holder.acquiredAt, expiresAt: holder.expiresAt } : null
+    }
+  });
+}
+
+// =================================
+// CONFIGURACIÓN DE SUBIDA DE ARCHIVOS
+// =================================
+const UPLOAD_DIR = path.resolve(__dirname, '../../data/temp/uploads');
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024; // 50MB
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOAD_DIR, { recursive: true }, (err) => cb(err, UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}_${path.basename(file.originalname)}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!['.xlsx', '.xls'].includes(ext)) {
+      return cb(createError.validation('El archivo debe ser .xlsx o .xls', 'file'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Recibe un único archivo en el campo 'file' y traduce los errores de multer
+ */
+function receiveExcel(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `El archivo supera el tamaño máximo de ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB`
+        : err.message;
+      return next(createError.validation(message, err.field || 'file'));
+    }
+    next(err);
+  });
 }
 
 // =================================
@@ -40,6 +103,36 @@ function authMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Solo los aprobadores configurados (APPROVAL_APPROVERS) pueden aprobar o rechazar publicaciones
+ * Siempre se exige, aunque la autenticación general esté deshabilitada
+ */
+function approverMiddleware(req, res, next) {
+  const { approvalService } = getServices();
+  const token = req.headers['authorization'] || req.headers['x-api-token'];
+  if (!token) {
+    return next(createError.unauthorized());
+  }
+
+  const approver = approvalService.findApprover(token);
+  if (!approver) {
+    return next(createError.forbidden());
+  }
+
+  req.approver = approver;
+  next();
+}
+
+/**
+ * Lee el flag de dry-run de la query (?dryRun=true) o del body ({ "dryRun": true })
+ * Devuelve undefined si no se indicó, para usar el valor configurado (DRY_RUN)
+ */
+function getDryRunFlag(req) {
+  const value = req.query.dryRun !== undefined ? req.query.dryRun : req.body?.dryRun;
+  if (value === undefined) return undefined;
+  return value === true || value === 'true' || value === '1';
+}
+
 // =================================
 // ENDPOINTS PRINCIPALES
 // =================================
@@ -49,7 +142,7 @@ function authMiddleware(req, res, next) {
  * Retorna el estado del último proceso ejecutado
  */
 router.get('/status', catchAsync(async (req, res) => {
-  const { processStatus } = getServices();
+  const { processStatus, vtexService } = getServices();
   const status = processStatus.getStatus();
   
   logOperations.api.info('Estado consultado');
@@ -58,6 +151,7 @@ router.get('/status', catchAsync(async (req, res) => {
     success: true,
     data: {
       ...status,
+      vtex: vtexService.getRequestStats(),
       server: {
         uptime: Math.floor(process.uptime()),
         memory: process.memoryUsage(),
@@ -69,10 +163,11 @@ router.get('/status', catchAsync(async (req, res) => {
 
 /**
  * POST /api/force-update
- * Dispara manualmente la lectura del Excel y envío a VTEX
+ * Dispara manualmente el pipeline de publicación (el mismo del cron) sobre el Excel pendiente más antiguo
+ * y responde con cada publicación hecha
  */
 router.post('/force-update', authMiddleware, catchAsync(async (req, res) => {
-  const { excelService, vtexService, processStatus } = getServices();
+  const { processStatus, lockService, pipelineService } = getServices();
   
   logOperations.api.info('Actualización manual solicitada');
   
@@ -88,37 +183,46 @@ router.post('/force-update', authMiddleware, catchAsync(async (req, res) => {
     });
   }
 
+  // Verificar que ninguna otra instancia esté procesando
+  const { lease, holder } = await lockService.acquirePipeline('manual');
+  if (!lease) {
+    return respondLocked(res, holder);
+  }
+
   // Iniciar el proceso
-  processStatus.startProcess('manual');
+  const executionId = processStatus.startProcess('manual');
   
   try {
-    // 1. Leer y procesar el archivo Excel
-    logOperations.api.info('Iniciando lectura de archivo Excel');
-    const jsonData = await excelService.readExcelAndConvert();
-    
-    // 2. Enviar datos a VTEX
-    logOperations.api.info('Enviando datos a VTEX');
-    const vtexResponse = await vtexService.sendData(jsonData);
+    // El pipeline registra el resultado (o el error) en la ejecución
+    const run = await pipelineService.run(null, { trigger: 'manual', executionId, dryRun: getDryRunFlag(req) });
     
-    // 3. Marcar proceso como completado
-    processStatus.completeProcess(jsonData.length, null, vtexResponse);
-    
-    logOperations.api.info(`Actualización manual completada. ${jsonData.length} registros procesados`);
+    logOperations.api.info(`Actualización manual completada (${run.result.result}). ${run.recordsProcessed} registros procesados`);
     
     res.json({
       success: true,
-      message: 'Actualización completada exitosamente',
+      message: run.dryRun ? 'Dry-run completado: no se publicó nada' : run.result.message,
       data: {
-        recordsProcessed: jsonData.length,
-        vtexResponse: vtexResponse,
+        executionId,
+        sourceFile: run.sourceFile,
+        dryRun: run.dryRun,
+        result: run.result.result,
+        approval: run.approval ? { id: run.approval.id, expiresAt: run.approval.expiresAt } : null,
+        validation: run.validation || null,
+        rules: run.rules || null,
+        windowFilter: run.result.windowFilter || null,
+        recordsProcessed: run.recordsProcessed,
+        // En dry-run incluye el payload que se publicaría
+        publications: run.publications,
+        dataEntities: run.dataEntities,
         timestamp: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    processStatus.completeProcess(0, error);
     logOperations.api.error('Error en actualización manual', error);
     throw error;
+  } finally {
+    await lease.release();
   }
 }));
 
@@ -159,6 +263,9 @@ router.get('/config', catchAsync(async (req, res) => {
       cron: {
         schedule: config.cron.schedule
       },
+      pipeline: {
+        dryRun: config.pipeline.dryRun
+      },
       security: {
         authEnabled: config.security.enableAuth
       },
@@ -173,6 +280,7 @@ router.get('/config', catchAsync(async (req, res) => {
 /**
  * POST /api/test-excel
  * Endpoint para probar solo la lectura del Excel sin enviar a VTEX
+ * Siempre corre en dry-run: devuelve los JSON que se publicarían con su destino
  */
 router.post('/test-excel', authMiddleware, catchAsync(async (req, res) => {
   const { excelService } = getServices();
@@ -180,14 +288,16 @@ router.post('/test-excel', authMiddleware, catchAsync(async (req, res) => {
   logOperations.api.info('Prueba de lectura de Excel solicitada');
   
   try {
-    const jsonData = await excelService.readExcelAndConvert();
+    const { data: jsonData, publications } = await excelService.processExcel(null, { dryRun: true });
     
     res.json({
       success: true,
       message: 'Archivo Excel leído exitosamente',
       data: {
-        recordsFound: jsonData.length,
-        sampleData: jsonData.slice(0, 3), // Mostrar solo los primeros 3 registros como muestra
+        dryRun: true,
+        sourceFile: jsonData.metadata.sourceFile,
+        recordsFound: jsonData.metadata.totalRecords,
+        publications,
         timestamp: new Date().toISOString()
       }
     });
@@ -225,6 +335,89 @@ router.post('/test-vtex', authMiddleware, catchAsync(async (req, res) => {
   }
 }));
 
+/**
+ * POST /api/uploads
+ * Recibe un Excel (multipart, campo 'file') y lo procesa con la misma detección de tipo
+ * y processors que el cron. Responde de inmediato con el id de ejecución para consultar el resultado
+ */
+router.post('/uploads', authMiddleware, receiveExcel, catchAsync(async (req, res) => {
+  const { processStatus, lockService, pipelineService } = getServices();
+
+  if (!req.file) {
+    throw createError.validation('Debe adjuntar un archivo Excel en el campo "file"', 'file');
+  }
+
+  const fileName = path.basename(req.file.originalname);
+  const removeUpload = () => fs.promises.unlink(req.file.path).catch(() => {});
+
+  const fileTypeDef = fileTypeRegistry.resolve(fileName);
+  if (!fileTypeDef) {
+    await removeUpload();
+    throw createError.validation(
+      `El nombre del archivo no corresponde a ningún tipo registrado (${fileTypeRegistry.getTypes().join(', ')})`,
+      'file'
+    );
+  }
+
+  if (!processStatus.canStartNewProcess()) {
+    await removeUpload();
+    const currentStatus = processStatus.getStatus();
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'Ya hay un proceso en ejecución',
+        startedAt: currentStatus.lastExecution.startedAt
+      }
+    });
+  }
+
+  const { lease, holder } = await lockService.acquirePipeline('api', { sourceFile: fileName });
+  if (!lease) {
+    await removeUpload();
+    return respondLocked(res, holder);
+  }
+
+  const executionId = processStatus.startProcess('api', { sourceFile: fileName });
+  logOperations.api.info(`Excel recibido por API: ${fileName} (tipo: ${fileTypeDef.type}, ejecución: ${executionId})`);
+
+  // Procesar en segundo plano: el resultado se consulta en GET /api/uploads/:id
+  // Directo con el pipeline: un error de una subida (ej: 401 de VTEX) no detiene el cron
+  pipelineService
+    .run({ localPath: req.file.path, fileName }, { trigger: 'api', executionId, dryRun: getDryRunFlag(req) })
+    .catch(error => logOperations.api.error(`Error procesando Excel recibido por API (${executionId})`, error))
+    .finally(() => Promise.all([removeUpload(), lease.release()]));
+
+  res.status(202).json({
+    success: true,
+    message: 'Archivo recibido, procesamiento iniciado',
+    data: {
+      executionId,
+      sourceFile: fileName,
+      fileType: fileTypeDef.type,
+      statusUrl: `${req.baseUrl}/uploads/${executionId}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/uploads/:id
+ * Retorna el estado/resultado de una ejecución iniciada con POST /api/uploads
+ */
+router.get('/uploads/:id', catchAsync(async (req, res) => {
+  const { processStatus } = getServices();
+  const execution = processStatus.getExecution(req.params.id);
+
+  if (!execution) {
+    throw createError.notFound(`Ejecución ${req.params.id}`);
+  }
+
+  res.json({
+    success: true,
+    data: execution
+  });
+}));
+
 /**
  * GET /api/process-history
  * Retorna el historial de procesos ejecutados
@@ -243,4 +436,341 @@ router.get('/process-history', catchAsync(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/process-history/:id
+ * Retorna el detalle de una ejecución
+ */
+router.get('/process-history/:id', catchAsync(async (req, res) => {
+  const { processStatus } = getServices();
+  const execution = processStatus.getExecution(req.params.id);
+
+  if (!execution) {
+    throw createError.notFound(`Ejecución ${req.params.id}`);
+  }
+
+  res.json({
+    success: true,
+    data: execution
+  });
+}));
+
+// Intervalo del comentario keep-alive de los streams SSE
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/executions/:id/events
+ * Stream Server-Sent Events con el avance de una ejecución: etapas, registros por hoja,
+ * resultado de cada subida al portal y el resultado final. Se cierra al terminar la ejecución
+ */
+router.get('/executions/:id/events', (req, res, next) => {
+  const { processStatus } = getServices();
+  const execution = processStatus.getExecution(req.params.id);
+
+  if (!execution) {
+    return next(createError.notFound(`Ejecución ${req.params.id}`));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Estado actual al conectarse (incluye etapas ya registradas)
+  send('snapshot', execution);
+  if (execution.status !== 'running') {
+    send(execution.status, { executionId: execution.id, status: execution.status });
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    if (event.executionId !== execution.id) return;
+    send(event.type, event);
+    if (processStatus.isFinalEvent(event.type)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comentario periódico para que proxies no corten la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    processStatus.off('execution-event', onEvent);
+  };
+
+  processStatus.on('execution-event', onEvent);
+  req.on('close', cleanup);
+  logOperations.api.info(`Cliente SSE conectado a la ejecución ${execution.id}`);
+});
+
+/**
+ * POST /api/executions/:id/cancel
+ * Cancela una ejecución en curso: corta la descarga/subida en curso y revierte lo ya publicado
+ * La ejecución termina como 'cancelled' (se puede seguir en /api/executions/:id/events)
+ */
+router.post('/executions/:id/cancel', authMiddleware, catchAsync(async (req, res) => {
+  const { processStatus } = getServices();
+  const execution = processStatus.getExecution(req.params.id);
+
+  if (!execution) {
+    throw createError.notFound(`Ejecución ${req.params.id}`);
+  }
+  if (execution.status !== 'running') {
+    throw createError.conflict(`La ejecución ${execution.id} ya terminó (${execution.status})`);
+  }
+
+  if (!execution.cancellable) {
+    throw createError.conflict(`La ejecución ${execution.id} ya publicó en el portal y archivó el Excel: no se puede cancelar`);
+  }
+
+  const reason = (req.body && req.body.reason) || 'Cancelada por API';
+  if (!processStatus.cancelProcess(reason, execution.id)) {
+    throw createError.conflict(`La cancelación de la ejecución ${execution.id} ya fue solicitada`);
+  }
+
+  logOperations.api.info(`Cancelación solicitada para la ejecución ${execution.id}`);
+
+  res.status(202).json({
+    success: true,
+    message: 'Cancelación solicitada',
+    data: {
+      executionId: execution.id,
+      status: 'cancelling',
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/executions/:id/diff
+ * Retorna las filas agregadas, eliminadas y modificadas de cada publicación de la ejecución
+ * respecto a la versión publicada anteriormente
+ */
+router.get('/executions/:id/diff', catchAsync(async (req, res) => {
+  const { diffService } = getServices();
+  const executionId = req.params.id;
+
+  if (!/^[\w-]+$/.test(executionId)) {
+    throw createError.validation('Id de ejecución inválido', 'id');
+  }
+
+  const executionDiff = await diffService.getExecutionDiff(executionId);
+  if (!executionDiff) {
+    throw createError.notFound(`Diff de la ejecución ${executionId}`);
+  }
+
+  res.json({
+    success: true,
+    data: executionDiff
+  });
+}));
+
+/**
+ * GET /api/executions/:id/validation
+ * Descarga el reporte de validación de la ejecución: copia del Excel con la hoja "Validación"
+ * y un comentario en cada celda observada
+ */
+router.get('/executions/:id/validation', catchAsync(async (req, res) => {
+  const { validationReportService } = getServices();
+  const executionId = req.params.id;
+
+  if (!/^[\w-]+$/.test(executionId)) {
+    throw createError.validation('Id de ejecución inválido', 'id');
+  }
+
+  const report = await validationReportService.get(executionId);
+  if (!report) {
+    throw createError.notFound(`Reporte de validación de la ejecución ${executionId}`);
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+  res.send(report.content);
+}));
+
+/**
+ * Valida el nombre de archivo del portal recibido en la ruta
+ */
+function getPortalFileName(req) {
+  const { fileName } = req.params;
+  if (path.basename(fileName) !== fileName || !fileName.endsWith('.json')) {
+    throw createError.validation('Nombre de archivo del portal inválido', 'fileName');
+  }
+  return fileName;
+}
+
+/**
+ * POST /api/publications/:id/promote
+ * Publica en el ambiente de promoción (ej: RD → PRD) exactamente el JSON de la versión indicada
+ * La promoción es una ejecución propia enlazada a la versión de origen
+ * Si el ambiente destino requiere aprobación no se publica: responde 202 con la aprobación pendiente
+ */
+router.post('/publications/:id/promote', authMiddleware, catchAsync(async (req, res) => {
+  const { publicationService } = getServices();
+  const versionId = req.params.id;
+  if (!/^pub_[\w]+$/.test(versionId)) {
+    throw createError.validation('Id de versión inválido', 'id');
+  }
+
+  logOperations.api.info(`Promoción solicitada para la versión ${versionId}`);
+  const result = await publicationService.promote(versionId);
+
+  res.status(result.approval ? 202 : 200).json({
+    success: true,
+    message: result.result.message,
+    data: {
+      ...result,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/publications/:fileName
+ * Lista las versiones publicadas de un archivo del portal (más recientes primero)
+ * Query opcional: account
+ */
+router.get('/publications/:fileName', catchAsync(async (req, res) => {
+  const { publicationService } = getServices();
+  const fileName = getPortalFileName(req);
+  const versions = await publicationService.listVersions(fileName, req.query.account || null);
+
+  res.json({
+    success: true,
+    data: {
+      fileName,
+      versions,
+      totalVersions: versions.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * POST /api/publications/:fileName/rollback
+ * Vuelve a publicar una versión anterior en la misma ruta del portal VTEX
+ * Body opcional: { versionId, account }. Sin versionId se restaura la versión previa a la vigente
+ */
+router.post('/publications/:fileName/rollback', authMiddleware, catchAsync(async (req, res) => {
+  const { publicationService } = getServices();
+  const fileName = getPortalFileName(req);
+  const { versionId = null, account = null } = req.body || {};
+
+  logOperations.api.info(`Rollback solicitado para ${fileName}${versionId ? ` (versión ${versionId})` : ''}`);
+  const result = await publicationService.rollback(fileName, { versionId, account });
+
+  res.json({
+    success: true,
+    message: `Versión ${result.restored.id} publicada nuevamente`,
+    data: {
+      ...result,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/approvals
+ * Lista las publicaciones que pasaron (o esperan) aprobación, más recientes primero
+ * Query opcional: status (pending, approved, rejected, expired, failed)
+ */
+router.get('/approvals', catchAsync(async (req, res) => {
+  const { approvalService } = getServices();
+  const approvals = await approvalService.list(req.query.status || null);
+
+  res.json({
+    success: true,
+    data: {
+      approvals,
+      totalApprovals: approvals.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * GET /api/approvals/:id
+ * Detalle de una aprobación, con el diff de cada publicación
+ */
+router.get('/approvals/:id', catchAsync(async (req, res) => {
+  const { approvalService } = getServices();
+  const approval = await approvalService.get(getApprovalId(req));
+  if (!approval) {
+    throw createError.notFound(`Aprobación ${req.params.id}`);
+  }
+
+  res.json({
+    success: true,
+    data: approval
+  });
+}));
+
+/**
+ * POST /api/approvals/:id/approve
+ * Publica en VTEX el contenido aprobado. Requiere el token de un aprobador
+ * Si el contenido ya no es el aprobado (pasó un inicio/fin de ventana) no publica: devuelve la nueva aprobación pendiente
+ */
+router.post('/approvals/:id/approve', approverMiddleware, catchAsync(async (req, res) => {
+  const { pipelineService } = getServices();
+  const approvalId = getApprovalId(req);
+
+  logOperations.api.info(`Aprobación ${approvalId} aprobada por ${req.approver}`);
+  const run = await pipelineService.publishApproved(approvalId, req.approver);
+
+  res.json({
+    success: true,
+    message: run.result.message,
+    data: {
+      executionId: run.executionId,
+      approval: run.approval,
+      // Si el contenido cambió desde la aprobación (inicio/fin de ventana), la nueva aprobación pendiente
+      pendingApproval: run.pendingApproval || null,
+      result: run.result.result,
+      validation: run.validation || null,
+      rules: run.rules || null,
+      recordsProcessed: run.recordsProcessed,
+      publications: run.publications,
+      dataEntities: run.dataEntities,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+/**
+ * POST /api/approvals/:id/reject
+ * Descarta la publicación pendiente (el Excel va a Errores/). Body opcional: { reason }
+ */
+router.post('/approvals/:id/reject', approverMiddleware, catchAsync(async (req, res) => {
+  const { pipelineService } = getServices();
+  const approvalId = getApprovalId(req);
+  const reason = req.body?.reason || null;
+
+  logOperations.api.info(`Aprobación ${approvalId} rechazada por ${req.approver}`);
+  const approval = await pipelineService.rejectApproval(approvalId, req.approver, reason);
+
+  res.json({
+    success: true,
+    message: `Publicación de ${approval.sourceFile} rechazada`,
+    data: approval
+  });
+}));
+
+/**
+ * Valida el id de aprobación de la ruta
+ */
+function getApprovalId(req) {
+  if (!/^apr_[\w]+$/.test(req.params.id)) {
+    throw createError.validation('Id de aprobación inválido', 'id');
+  }
+  return req.params.id;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,346 @@
+/**
+ * Servicio de aprobaciones de publicaciones
+ * Para los ambientes/tipos que lo requieren, el pipeline no publica: guarda la publicación pendiente
+ * (Excel, diffs y hash de cada JSON) en Aprobaciones/ y avisa a los aprobadores. La publicación se hace
+ * recién con la aprobación; al rechazarla o al vencer, el Excel va a Errores/
+ * Las promociones (RD → PRD) a un ambiente con aprobación también esperan: guardan la versión a promover
+ */
+
+const axios = require('axios');
+const path = require('path');
+const { config } = require('../config/env');
+const { logOperations } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const { getStorage } = require('./storage');
+const { moveFile, uploadFile } = require('./bucketService');
+const excelService = require('./excelService');
+const fileTypeRegistry = require('../config/fileTypes');
+const vtexEnvironments = require('../config/vtexEnvironments');
+
+const APPROVALS_FOLDER = 'Aprobaciones';
+
+/**
+ * Servicio de aprobaciones
+ */
+class ApprovalService {
+  constructor(approvalConfig = config.approval) {
+    this.expiresInMs = approvalConfig.expiresInHours * 60 * 60 * 1000;
+    this.webhookUrl = approvalConfig.webhookUrl;
+    this.approvers = approvalConfig.approvers;
+  }
+
+  /**
+   * Indica si un Excel requiere aprobación antes de publicarse (según su ambiente y tipo)
+   * @param {string} sourceFileName - Nombre del Excel
+   */
+  requiresApproval(sourceFileName) {
+    const fileTypeDef = fileTypeRegistry.resolve(sourceFileName);
+    if (!fileTypeDef) return false;
+    return this.requiresApprovalFor(fileTypeDef.type, fileTypeRegistry.detectEnvironment(sourceFileName));
+  }
+
+  /**
+   * Indica si un tipo de archivo requiere aprobación para publicarse en un ambiente (ej: el destino de una promoción)
+   * @param {string|null} fileType - Tipo del registro de tipos (sin tipo conocido se pide aprobación si el ambiente la exige para todo)
+   * @param {string|null} environment - Ambiente (sin ambiente, el ambiente por defecto)
+   */
+  requiresApprovalFor(fileType, environment) {
+    const environmentDef = vtexEnvironments.resolve(environment);
+    if (!environmentDef) return false;
+
+    const { requiresApproval } = environmentDef;
+    if (Array.isArray(requiresApproval)) {
+      return requiresApproval.includes(fileType);
+    }
+    return requiresApproval === true || requiresApproval === '*';
+  }
+
+  /**
+   * Busca el aprobador dueño de un token
+   * @returns {string|null} Nombre del aprobador
+   */
+  findApprover(token) {
+    const approver = this.approvers.find(entry => token === `Bearer ${entry.token}` || token === entry.token);
+    return approver ? approver.name : null;
+  }
+
+  getRecordPath(id) {
+    return `${APPROVALS_FOLDER}/${id}.json`;
+  }
+
+  /**
+   * Registra una publicación pendiente de aprobación
+   * El Excel sale de la cola (Archivos_sheets/) y queda en Aprobaciones/<id>/ hasta la decisión
+   * @param {object} pendingFile - { bucketFilePath, fileName } o { localPath, fileName }
+   * @param {object} details - { executionId, publications, supersedes } (publicaciones generadas en dry-run;
+   *   supersedes: aprobación anterior del mismo Excel cuyo contenido quedó desactualizado)
+   * @returns {Promise<object>} Aprobación pendiente
+   */
+  async create(pendingFile, { executionId, publications, supersedes = null }) {
+    const id = this.generateApprovalId();
+    const fileName = pendingFile.fileName || path.basename(pendingFile.bucketFilePath || pendingFile.localPath);
+    const excelPath = `${APPROVALS_FOLDER}/${id}/${fileName}`;
+
+    if (pendingFile.bucketFilePath) {
+      await moveFile(pendingFile.bucketFilePath, excelPath);
+    } else {
+      await uploadFile(`${APPROVALS_FOLDER}/${id}`, pendingFile.localPath, fileName);
+    }
+
+    const now = Date.now();
+    const first = publications[0]?.target || {};
+    const approval = {
+      id,
+      status: 'pending',
+      sourceFile: fileName,
+      fileType: fileTypeRegistry.resolve(fileName)?.type || null,
+      environment: first.environment || null,
+      account: first.account || null,
+      excelPath,
+      executionId,
+      publications: publications.map(publication => ({
+        fileName: publication.fileName,
+        sheetName: publication.sheetName || null,
+        target: publication.target,
+        contentHash: publication.contentHash,
+        unchanged: publication.unchanged,
+        diff: publication.diff
+      })),
+      promotedFrom: null,
+      supersedes,
+      supersededBy: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiresInMs).toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      publishExecutionId: null
+    };
+    await this.save(approval);
+
+    logOperations.cron.info(`Publicación de ${fileName} pendiente de aprobación (${id}, vence ${approval.expiresAt})`);
+    await this.notify('approval.pending', approval);
+    return approval;
+  }
+
+  /**
+   * Registra una promoción pendiente de aprobación
+   * No hay Excel: se aprueba la versión de origen (su copia archivada es la que se sube al aprobar)
+   * @param {object} source - Versión a promover (publicationService)
+   * @param {object} targetEnvironment - Ambiente destino (registro de ambientes VTEX)
+   * @param {object} details - { executionId }
+   * @returns {Promise<object>} Aprobación pendiente
+   */
+  async createPromotion(source, targetEnvironment, { executionId }) {
+    const id = this.generateApprovalId();
+    const now = Date.now();
+    const approval = {
+      id,
+      status: 'pending',
+      sourceFile: source.sourceFile,
+      fileType: source.fileType,
+      environment: targetEnvironment.name,
+      account: targetEnvironment.account,
+      excelPath: null,
+      executionId,
+      publications: [{
+        fileName: source.fileName,
+        sheetName: source.sheetName || null,
+        target: { account: targetEnvironment.account, environment: targetEnvironment.name },
+        contentHash: source.contentHash,
+        unchanged: false,
+        diff: null
+      }],
+      promotedFrom: source.id,
+      supersedes: null,
+      supersededBy: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiresInMs).toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      publishExecutionId: null
+    };
+    await this.save(approval);
+
+    logOperations.cron.info(`Promoción de la versión ${source.id} a ${targetEnvironment.name} pendiente de aprobación (${id}, vence ${approval.expiresAt})`);
+    await this.notify('approval.pending', approval);
+    return approval;
+  }
+
+  /**
+   * Lista las aprobaciones, más recientes primero
+   * @param {string|null} status - Filtra por estado ('pending', 'approved', 'rejected', 'expired', 'failed', 'superseded')
+   */
+  async list(status = null) {
+    const storage = getStorage();
+    const entries = (await storage.list(`${APPROVALS_FOLDER}/`))
+      .filter(entry => /^[^/]+\/apr_[\w]+\.json$/.test(entry.name));
+
+    const approvals = [];
+    for (const entry of entries) {
+      approvals.push(JSON.parse((await storage.read(entry.name)).toString('utf8')));
+    }
+    return approvals
+      .filter(approval => !status || approval.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Obtiene una aprobación por id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const storage = getStorage();
+    if (!(await storage.exists(this.getRecordPath(id)))) {
+      return null;
+    }
+    return JSON.parse((await storage.read(this.getRecordPath(id))).toString('utf8'));
+  }
+
+  /**
+   * Obtiene una aprobación que todavía se puede decidir
+   * Si ya venció, se da por vencida (Excel a Errores/) y se informa el conflicto
+   */
+  async getPending(id) {
+    const approval = await this.get(id);
+    if (!approval) {
+      throw createError.notFound(`Aprobación ${id}`);
+    }
+    if (approval.status !== 'pending') {
+      throw createError.conflict(`La aprobación ${id} ya está ${approval.status}`);
+    }
+    if (this.isExpired(approval)) {
+      await this.expire(approval);
+      throw createError.conflict(`La aprobación ${id} venció el ${approval.expiresAt}`);
+    }
+    return approval;
+  }
+
+  /**
+   * Registra la decisión sobre una aprobación
+   * @param {object} approval - Aprobación
+   * @param {string} status - 'approved', 'rejected', 'expired', 'failed' o 'superseded' (reemplazada por otra aprobación)
+   * @param {object} details - { decidedBy, reason, publishExecutionId, supersededBy }
+   */
+  async decide(approval, status, details = {}) {
+    const decided = {
+      ...approval,
+      status,
+      decidedAt: new Date().toISOString(),
+      decidedBy: details.decidedBy || null,
+      reason: details.reason || null,
+      publishExecutionId: details.publishExecutionId || null,
+      supersededBy: details.supersededBy || null
+    };
+    await this.save(decided);
+    logOperations.cron.info(`Aprobación ${approval.id} (${approval.sourceFile}): ${status}${decided.decidedBy ? ` por ${decided.decidedBy}` : ''}`);
+    return decided;
+  }
+
+  /**
+   * Rechaza una publicación pendiente: no se publica y el Excel va a Errores/ con el motivo
+   */
+  async reject(id, approver, reason = null) {
+    const approval = await this.getPending(id);
+    const message = `Publicación rechazada por ${approver}${reason ? `: ${reason}` : ''}`;
+    await this.discard(approval, message, 'APPROVAL_REJECTED');
+    return this.decide(approval, 'rejected', { decidedBy: approver, reason });
+  }
+
+  /**
+   * Da por vencidas las aprobaciones pendientes cuyo plazo terminó
+   * @returns {Promise<number>} Cantidad de aprobaciones vencidas
+   */
+  async expirePending() {
+    const expired = (await this.list('pending')).filter(approval => this.isExpired(approval));
+    for (const approval of expired) {
+      await this.expire(approval);
+    }
+    return expired.length;
+  }
+
+  async expire(approval) {
+    await this.discard(approval, `La aprobación venció el ${approval.expiresAt} sin decisión`, 'APPROVAL_EXPIRED');
+    await this.decide(approval, 'expired');
+    await this.notify('approval.expired', approval);
+  }
+
+  /**
+   * Mueve el Excel de una publicación descartada a Errores/ con su reporte (las promociones no tienen Excel)
+   */
+  async discard(approval, message, type) {
+    if (approval.promotedFrom) {
+      logOperations.cron.info(`Promoción de la versión ${approval.promotedFrom} descartada: ${message}`);
+      return;
+    }
+    const error = Object.assign(new Error(message), { type, stage: 'approval', details: { approvalId: approval.id } });
+    await excelService.quarantineExcel({ bucketFilePath: approval.excelPath, fileName: approval.sourceFile }, error, approval.executionId);
+  }
+
+  /**
+   * Indica si el Excel de la aprobación sigue en Aprobaciones/ (se puede volver a intentar publicar)
+   * Una promoción siempre se puede volver a intentar: la copia archivada de la versión no se mueve
+   */
+  async hasExcel(approval) {
+    if (approval.promotedFrom) return true;
+    return getStorage().exists(approval.excelPath);
+  }
+
+  isExpired(approval) {
+    return new Date(approval.expiresAt).getTime() <= Date.now();
+  }
+
+  async save(approval) {
+    await getStorage().save(this.getRecordPath(approval.id), JSON.stringify(approval, null, 2), 'application/json');
+  }
+
+  /**
+   * Avisa a los aprobadores por webhook (APPROVAL_WEBHOOK_URL)
+   * Nunca lanza: un fallo aquí solo se registra en el log
+   */
+  async notify(event, approval) {
+    if (!this.webhookUrl) return;
+
+    try {
+      await axios.post(this.webhookUrl, {
+        event,
+        service: 'excel-vtex-service',
+        approval: {
+          id: approval.id,
+          sourceFile: approval.sourceFile,
+          fileType: approval.fileType,
+          environment: approval.environment,
+          account: approval.account,
+          expiresAt: approval.expiresAt,
+          promotedFrom: approval.promotedFrom || null,
+          publications: approval.publications.map(({ fileName, unchanged, diff }) => ({
+            fileName,
+            unchanged,
+            totals: diff ? diff.totals : null
+          }))
+        },
+        approveUrl: `/api/approvals/${approval.id}/approve`,
+        rejectUrl: `/api/approvals/${approval.id}/reject`,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 });
+      logOperations.cron.info(`Notificación ${event} enviada (${approval.id})`);
+    } catch (error) {
+      logOperations.cron.error(`Error enviando la notificación ${event} (${approval.id})`, error);
+    }
+  }
+
+  /**
+   * Genera un ID único para la aprobación
+   */
+  generateApprovalId() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    return `apr_${timestamp}_${random}`;
+  }
+}
+
+// Crear instancia singleton
+const approvalService = new ApprovalService();
+
+module.exports = approvalService;
@@ -0,0 +1,97 @@
+/**
+ * Operaciones sobre las carpetas del bucket (Archivos_sheets/, Publicaciones_json_vtex/, Errores/)
+ * Todo acceso pasa por el backend de almacenamiento configurado (GCS o directorio local)
+ */
+
+const path = require('path');
+const { getStorage } = require('./storage');
+const { logOperations } = require('../utils/logger');
+
+/**
+ * Descarga un archivo del bucket a una ruta local
+ * @param {string} srcFilename - Ruta del archivo en el bucket
+ * @param {string} destPath - Ruta local de destino
+ * @param {object} options - { signal }: AbortSignal para cancelar la descarga
+ */
+async function downloadFile(srcFilename, destPath, options = {}) {
+  await getStorage().download(srcFilename, destPath, options);
+  logOperations.excel.info(`Archivo descargado del bucket a ${destPath}`);
+}
+
+/**
+ * Lista los archivos Excel pendientes de una carpeta del bucket, del más antiguo al más reciente
+ * No elimina ni mueve ningún archivo: cada uno se archiva recién cuando fue publicado
+ * @param {string} folder - Carpeta dentro del bucket (ej: 'Archivos_sheets/')
+ * @returns {Promise<Array<{bucketFilePath: string, fileName: string, updated: Date}>>}
+ */
+async function listPendingExcelFiles(folder) {
+  const files = await getStorage().list(folder);
+  // Filtrar solo archivos .xlsx o .xls
+  const excelFiles = files.filter(f => f.name.endsWith('.xlsx') || f.name.endsWith('.xls'));
+
+  // Ordenar por fecha de actualización, más antiguo primero
+  const pending = excelFiles.map(f => ({
+    bucketFilePath: f.name,
+    fileName: path.basename(f.name),
+    updated: new Date(f.updated)
+  }));
+  pending.sort((a, b) => a.updated - b.updated);
+
+  return pending;
+}
+
+/**
+ * Descarga un archivo Excel pendiente y lo guarda con su nombre original en la carpeta local input
+ * @param {string} bucketFilePath - Ruta del archivo en el bucket (ej: 'Archivos_sheets/HOME_RD_x.xlsx')
+ * @param {object} options - { signal }: AbortSignal para cancelar la descarga
+ * @returns {Promise<{localPath: string, fileName: string, bucketFilePath: string}>}
+ */
+async function downloadPendingExcel(bucketFilePath, options = {}) {
+  const fileName = path.basename(bucketFilePath);
+  const localPath = path.resolve(__dirname, '../../data/input/', fileName);
+  await downloadFile(bucketFilePath, localPath, options);
+  return { localPath, fileName, bucketFilePath };
+}
+
+/**
+ * Sube un archivo local a una carpeta del bucket
+ * @param {string} destFolder - Carpeta destino en el bucket (ej: 'Publicaciones_json_vtex/')
+ * @param {string} localFilePath - Ruta local del archivo a subir
+ * @param {string} destFileName - Nombre del archivo en el bucket
+ */
+async function uploadFile(destFolder, localFilePath, destFileName) {
+  const destination = path.posix.join(destFolder, destFileName);
+  await getStorage().upload(localFilePath, destination);
+  logOperations.excel.info(`Archivo subido al bucket: ${destination}`);
+  return destination;
+}
+
+/**
+ * Guarda contenido en memoria como un archivo del bucket
+ * @param {string} destination - Ruta destino (ej: 'Errores/archivo.xlsx.error.json')
+ * @param {string|Buffer} content - Contenido a guardar
+ * @param {string} contentType - Content-Type del archivo
+ */
+async function uploadContent(destination, content, contentType = 'application/json') {
+  await getStorage().save(destination, content, contentType);
+  logOperations.excel.info(`Contenido guardado en el bucket: ${destination}`);
+}
+
+/**
+ * Mueve un archivo dentro del bucket
+ * @param {string} srcPath - Ruta origen (ej: 'Archivos_sheets/archivo.xlsx')
+ * @param {string} destPath - Ruta destino (ej: 'Publicaciones_json_vtex/archivo.xlsx')
+ */
+async function moveFile(srcPath, destPath) {
+  await getStorage().move(srcPath, destPath);
+  logOperations.excel.info(`Archivo movido en el bucket de ${srcPath} a ${destPath}`);
+}
+
+module.exports = {
+  downloadFile,
+  listPendingExcelFiles,
+  downloadPendingExcel,
+  uploadFile,
+  uploadContent,
+  moveFile
+};
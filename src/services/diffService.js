@@ -0,0 +1,248 @@
+/**
+ * Servicio de diferencias entre publicaciones
+ * Compara, fila por fila, el JSON generado contra la última versión publicada
+ * y resume qué registros se agregaron, eliminaron o modificaron en cada hoja
+ */
+
+const { logOperations } = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+const DIFFS_FOLDER = 'Publicaciones_json_vtex/_diffs';
+// Diffs de ejecuciones recientes (incluye dry-run, que no se guarda en el bucket)
+const MAX_CACHED_EXECUTIONS = 20;
+
+// Campos candidatos para identificar una fila de las hojas HOME, en orden de preferencia
+const HOME_KEY_FIELDS = ['sku', 'id', 'codigo'];
+
+/**
+ * Motor de diferencias por processor del registro de tipos
+ */
+class DiffService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Compara la salida de un processor con la publicada anteriormente
+   * @param {string} processor - Processor del registro ('sheets', 'matrix', 'sellers', 'blacklist', 'variantes')
+   * @param {*} previous - `sheets` de la versión publicada (null si no hay)
+   * @param {*} current - `sheets` de la nueva salida
+   * @param {string} label - Nombre de la hoja para processors que generan una sola tabla
+   * @returns {{sheets: object, summary: object, totals: {added: number, removed: number, changed: number}}}
+   */
+  diff(processor, previous, current, label = 'data') {
+    // Cada lado recibe el otro para que las filas HOME se identifiquen con la misma clave en ambos
+    const previousTables = previous ? this.toTables(processor, previous, label, current) : {};
+    const currentTables = this.toTables(processor, current, label, previous);
+    const sheetNames = [...new Set([...Object.keys(previousTables), ...Object.keys(currentTables)])];
+
+    const sheets = {};
+    const summary = {};
+    const totals = { added: 0, removed: 0, changed: 0 };
+
+    for (const sheetName of sheetNames) {
+      const sheetDiff = this.diffRecords(previousTables[sheetName] || new Map(), currentTables[sheetName] || new Map());
+      sheets[sheetName] = sheetDiff;
+      summary[sheetName] = {
+        added: sheetDiff.added.length,
+        removed: sheetDiff.removed.length,
+        changed: sheetDiff.changed.length
+      };
+      totals.added += sheetDiff.added.length;
+      totals.removed += sheetDiff.removed.length;
+      totals.changed += sheetDiff.changed.length;
+    }
+
+    return { sheets, summary, totals };
+  }
+
+  /**
+   * Convierte la salida de un processor en tablas { hoja: Map(clave → registro) }
+   * @param {*} counterpart - Salida del otro lado de la comparación (solo se usa en 'sheets')
+   */
+  toTables(processor, data, label, counterpart = null) {
+    switch (processor) {
+      case 'sheets':
+        return Object.fromEntries(
+          Object.entries(data || {}).map(([sheetName, rows]) => [
+            sheetName,
+            this.keyHomeRows(rows || [], (counterpart && counterpart[sheetName]) || [])
+          ])
+        );
+      case 'matrix':
+        return { [label]: this.keyMatrixRows(data || []) };
+      case 'sellers':
+        return { [label]: this.keyBy(data || [], row => String(row.sellerId)) };
+      case 'blacklist':
+        return { [label]: this.keyBy(data || [], row => [row.seller, row.sku, row.page].map(v => v || '').join('|')) };
+      case 'variantes':
+        return { [label]: this.flattenVariantsTree(data || {}) };
+      default:
+        return { [label]: this.keyBy(Array.isArray(data) ? data : [], (row, index) => `fila ${index + 1}`) };
+    }
+  }
+
+  /**
+   * Filas HOME: se identifican por sku/id/codigo si es único en la hoja de los dos lados de la comparación;
+   * si no, por fila del Excel (también en los dos lados, para no mezclar claves)
+   * La metadata de cada fila (_metadata) no participa en la comparación
+   * @param {Array<object>} counterpartRows - Filas de la misma hoja en el otro lado de la comparación
+   */
+  keyHomeRows(rows, counterpartRows = []) {
+    const records = rows.map(({ _metadata, ...record }) => ({ record, sourceRow: _metadata?.sourceRow }));
+    const isUniqueIn = (sheetRows, field) => {
+      const values = sheetRows.map(row => row[field]);
+      return values.every(value => value !== null && value !== undefined && value !== '') &&
+        new Set(values.map(String)).size === values.length;
+    };
+    const keyField = HOME_KEY_FIELDS.find(field =>
+      isUniqueIn(records.map(({ record }) => record), field) && isUniqueIn(counterpartRows, field)
+    );
+
+    const table = new Map();
+    records.forEach(({ record, sourceRow }, index) => {
+      const key = keyField ? `${keyField}=${record[keyField]}` : `fila ${sourceRow || index + 2}`;
+      table.set(key, record);
+    });
+    return table;
+  }
+
+  /**
+   * Matriz [headers, ...filas]: cada fila se identifica por su primera columna
+   * Si la primera columna se repite, se usa la fila completa
+   */
+  keyMatrixRows(matrix) {
+    const table = new Map();
+    let headers = [];
+
+    for (const row of matrix) {
+      // processLocationsData repite los headers al inicio de cada hoja
+      if (headers.length === 0 || this.isSameRow(row, headers)) {
+        headers = row;
+        continue;
+      }
+      const record = Object.fromEntries(headers.map((header, index) => [header, row[index] !== undefined ? row[index] : '']));
+      const key = table.has(String(row[0])) ? row.join('|') : String(row[0]);
+      table.set(key, record);
+    }
+    return table;
+  }
+
+  /**
+   * Árbol de variantes: cada hoja del árbol se identifica por su ruta departamento/categoría/subcategoría
+   */
+  flattenVariantsTree(tree) {
+    const table = new Map();
+    for (const [depId, department] of Object.entries(tree)) {
+      table.set(depId, { atributo: department.atributo });
+      for (const [catId, category] of Object.entries(department.categorias || {})) {
+        table.set(`${depId}/${catId}`, { atributo: category.atributo });
+        for (const [subcatId, atributo] of Object.entries(category.subcategorias || {})) {
+          table.set(`${depId}/${catId}/${subcatId}`, { atributo });
+        }
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Arma un Map con la clave calculada para cada registro (el último gana si se repite)
+   */
+  keyBy(rows, getKey) {
+    return new Map(rows.map((row, index) => [getKey(row, index), row]));
+  }
+
+  /**
+   * Compara dos tablas y lista las filas agregadas, eliminadas y modificadas
+   */
+  diffRecords(previous, current) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, record] of current) {
+      if (!previous.has(key)) {
+        added.push({ key, record });
+        continue;
+      }
+      const fields = this.diffFields(previous.get(key), record);
+      if (fields.length > 0) {
+        changed.push({ key, fields });
+      }
+    }
+    for (const [key, record] of previous) {
+      if (!current.has(key)) {
+        removed.push({ key, record });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Campos con distinto valor entre dos registros
+   */
+  diffFields(before, after) {
+    const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return fields
+      .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+      .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+  }
+
+  isSameRow(a, b) {
+    return a.length === b.length && a.every((value, index) => value === b[index]);
+  }
+
+  /**
+   * Guarda el diff de una publicación de la ejecución
+   * @param {string} executionId - Ejecución en processStatus
+   * @param {object} entry - { fileName, sheetName, account, previousVersionId, diff }
+   * @param {object} options - { persist }: si es true también se guarda en el bucket
+   */
+  async storeDiff(executionId, entry, options = {}) {
+    if (!executionId) return;
+
+    const executionDiff = this.cache.get(executionId) || { executionId, publications: [] };
+    executionDiff.publications.push(entry);
+    this.cache.set(executionId, executionDiff);
+
+    while (this.cache.size > MAX_CACHED_EXECUTIONS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    if (options.persist) {
+      try {
+        await getStorage().save(
+          `${DIFFS_FOLDER}/${executionId}.json`,
+          JSON.stringify(executionDiff, null, 2),
+          'application/json'
+        );
+      } catch (error) {
+        logOperations.excel.error(`Error guardando el diff de la ejecución ${executionId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Obtiene los diffs de una ejecución (memoria o bucket)
+   * @returns {Promise<object|null>} { executionId, publications: [...] }
+   */
+  async getExecutionDiff(executionId) {
+    if (this.cache.has(executionId)) {
+      return this.cache.get(executionId);
+    }
+
+    const storage = getStorage();
+    const diffPath = `${DIFFS_FOLDER}/${executionId}.json`;
+    if (!(await storage.exists(diffPath))) {
+      return null;
+    }
+    const content = await storage.read(diffPath);
+    return JSON.parse(content.toString('utf8'));
+  }
+}
+
+// Crear instancia singleton
+const diffService = new DiffService();
+
+module.exports = diffService;
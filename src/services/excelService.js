@@ -9,7 +9,36 @@ const path = require('path');
 const { config } = require('../config/env');
 const { logOperations } = require('../utils/logger');
 const { createError } = require('../utils/errorHandler');
-const { slugify } = require('../utils/string');
+const SourceMap = require('../utils/sourceMap');
+const {
+  getWindowBound,
+  isDateCell,
+  usesDate1904,
+  excelSerialToWallTime,
+  formatWallTime,
+  parseWindowDate,
+  toInstant
+} = require('../utils/dates');
+const fileTypeRegistry = require('../config/fileTypes');
+const {
+  listPendingExcelFiles,
+  downloadPendingExcel,
+  uploadFile,
+  uploadContent,
+  moveFile
+} = require('./bucketService');
+const { uploadFileToVtexPortal, resolvePortalTarget } = require('./uploadOutputToPortalModule');
+const publicationService = require('./publicationService');
+const diffService = require('./diffService');
+const schemaValidator = require('./schemaValidator');
+const homeRuleValidator = require('./homeRuleValidator');
+const validationReportService = require('./validationReportService');
+const processStatus = require('./processStatus');
+
+// Carpetas del bucket: entrada de Excel pendientes, publicaciones archivadas y cuarentena
+const PENDING_FOLDER = 'Archivos_sheets/';
+const PUBLISHED_FOLDER = 'Publicaciones_json_vtex';
+const ERRORS_FOLDER = 'Errores';
 
 /**
  * Servicio principal para manejo de archivos Excel
@@ -102,283 +131,569 @@ class ExcelService {
 
   /**
    * Detecta el tipo de archivo según el nombre del archivo fuente
+   * Los prefijos se declaran en el registro de tipos (config/fileTypes.json)
    * @param {string} fileName - Nombre del archivo Excel
-   * @returns {'home'|'locations'|'sellers'|'destacados'|'variantes'|'unknown'}
+   * @returns {string} Tipo registrado o 'unknown'
    */
   detectFileType(fileName) {
-    const upper = (fileName || '').toUpperCase();
-    if (upper.startsWith('HOME_')) return 'home';
-    if (upper.startsWith('LOCATIONS_')) return 'locations';
-    if (upper.startsWith('SELLERS_')) return 'sellers';
-    if (upper.startsWith('DESTACADOS_')) return 'destacados';
-    if (upper.startsWith('VARIANTES_')) return 'variantes';
-    if (upper.startsWith('BLACKLIST_')) return 'blacklist';
-    return 'unknown';
+    const fileTypeDef = fileTypeRegistry.resolve(fileName);
+    return fileTypeDef ? fileTypeDef.type : 'unknown';
+  }
+
+  /**
+   * Lista los Excel pendientes en Archivos_sheets/, del más antiguo al más reciente
+   * @returns {Promise<Array<{bucketFilePath: string, fileName: string, updated: Date}>>}
+   */
+  async listPendingFiles() {
+    return listPendingExcelFiles(PENDING_FOLDER);
   }
 
   /**
    * Lee el archivo Excel y lo convierte a JSON
+   * @param {object|null} pendingFile - Archivo de la cola ({ bucketFilePath, fileName })
+   * @param {object} options - Ver processExcel()
+   * @returns {Promise<object>} Datos procesados { metadata, sheets }
    */
-  async readExcelAndConvert() {
+  async readExcelAndConvert(pendingFile = null, options = {}) {
+    const { data } = await this.processExcel(pendingFile, options);
+    return data;
+  }
+
+  /**
+   * Descarga, procesa y publica un Excel de la cola
+   * Si el proceso falla, el Excel se mueve a Errores/ junto con un reporte JSON
+   * En modo dry-run solo descarga, parsea y valida: devuelve los JSON que se publicarían
+   * con su cuenta/ruta destino, sin subidas, movimientos ni borrados
+   * @param {object|null} pendingFile - Archivo a procesar:
+   *   - de la cola: { bucketFilePath, fileName }
+   *   - subido por API: { localPath, fileName }
+   *   Si no se indica, se toma el más antiguo pendiente en Archivos_sheets/
+   * @param {object} options - { executionId, dryRun, expectedContentHashes }
+   *   expectedContentHashes: { <archivo de salida>: hash } aprobados; si el contenido generado difiere, no se publica
+   * La cancelación de la ejecución (processStatus.cancelProcess) corta la descarga y la subida en curso;
+   * si ya se había publicado algo, se restauran las versiones anteriores (nunca queda una carga a medias)
+   * Cada ejecución genera además un reporte de validación (copia anotada del Excel, ver validationReportService)
+   * En archivos HOME se aplican además las reglas de negocio de homeRuleValidator (rules: resumen de incumplimientos)
+   * Con HOME_WINDOW_FILTER, windowFilter informa las filas descartadas por ventana y el próximo inicio/fin
+   * @returns {Promise<{data: object, publications: Array, dryRun: boolean, validation: object|null, rules: object|null,
+   *   windowFilter: object|null, archivePath: string|null}>}
+   */
+  async processExcel(pendingFile = null, options = {}) {
+    const dryRun = options.dryRun !== undefined ? Boolean(options.dryRun) : config.pipeline.dryRun;
+    const signal = processStatus.getSignal(options.executionId);
+    let stage = null;
+    // Cada etapa queda registrada en la ejecución (processStatus) con su inicio, fin y error
+    // Iniciar una etapa es también un punto de cancelación
+    const enterStage = (name, details = {}) => {
+      processStatus.throwIfCancelled(options.executionId);
+      stage = name;
+      processStatus.startStage(options.executionId, name, details);
+    };
+    let downloadedPath = null;
+    // Publicaciones hechas en esta ejecución con la versión previa de cada archivo (para revertir)
+    const published = [];
+
     try {
+      enterStage('download');
+      if (!pendingFile) {
+        const queue = await this.listPendingFiles();
+        if (queue.length === 0) {
+          throw createError.excel(`No se encontraron archivos Excel pendientes en ${PENDING_FOLDER}`);
+        }
+        pendingFile = queue[0];
+      }
 
-  logOperations.excel.info('Buscando y descargando el archivo Excel más reciente de GCP (carpeta Archivos_sheets/) antes de procesar...');
-  const { downloadLatestExcelFromGCPFolder } = require('./gcpDownloadService');
-  const bucketName = config.gcp.bucketName;
-  const folder = 'Archivos_sheets/';
-  // Obtener el nombre del archivo más reciente en el bucket
-  const { getLatestExcelNameAndDownload } = require('./gcpDownloadService');
-  const { localPath, latestFileName, bucketFilePath } = await getLatestExcelNameAndDownload(bucketName, folder);
-  this._latestGcpExcelFile = bucketFilePath;
-  logOperations.excel.info(`Archivo Excel más reciente (${latestFileName}) descargado de GCP. Iniciando lectura...`);
-
-  // Detectar tipo de archivo (home, locations, unknown)
-  let fileType = this.detectFileType(latestFileName);
-  if (fileType === 'unknown') {
-    const blacklistCandidate = String(latestFileName || '')
-      .toUpperCase()
-      .replace(/^[^A-Z0-9]+/, '');
-    if (blacklistCandidate.startsWith('BLACKLIST_')) {
-      fileType = 'blacklist';
-    }
-  }
-  this._currentFileType = fileType;
-  logOperations.excel.info(`Tipo de archivo detectado: ${fileType} (archivo: ${latestFileName})`);
+      let localPath;
+      let latestFileName;
+      if (pendingFile.localPath) {
+        localPath = pendingFile.localPath;
+        latestFileName = pendingFile.fileName || path.basename(localPath);
+        logOperations.excel.info(`Procesando archivo Excel recibido por API (${latestFileName}). Iniciando lectura...`);
+      } else {
+        logOperations.excel.info(`Descargando ${pendingFile.bucketFilePath} del bucket antes de procesar...`);
+        ({ localPath, fileName: latestFileName } = await downloadPendingExcel(pendingFile.bucketFilePath, { signal }));
+        downloadedPath = localPath;
+        logOperations.excel.info(`Archivo Excel (${latestFileName}) descargado del bucket. Iniciando lectura...`);
+      }
+      processStatus.completeStage(options.executionId, { source: pendingFile.bucketFilePath || 'api' });
 
-  // Validar archivo usando el nombre real descargado
-  const fileInfo = await this.validateExcelFileByPath(localPath);
+      // Detectar tipo de archivo según el registro (unknown usa la definición fallback)
+      enterStage('detect', { sourceFile: latestFileName });
+      const fileTypeDef = fileTypeRegistry.resolveOrFallback(latestFileName);
+      const fileType = fileTypeDef.type;
+      this._currentFileType = fileType;
+      logOperations.excel.info(`Tipo de archivo detectado: ${fileType} (archivo: ${latestFileName})`);
 
-  // Leer el archivo Excel
-  const workbook = XLSX.readFile(localPath);
+      // Validar archivo usando el nombre real descargado
+      processStatus.completeStage(options.executionId, { fileType });
+      enterStage('validate');
+      await this.validateExcelFileByPath(localPath);
+
+      // Leer el archivo Excel (cellNF: con el formato de cada celda, para reconocer las fechas)
+      const workbook = XLSX.readFile(localPath, { cellNF: true });
 
       // Verificar que el archivo tenga hojas
       if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
         throw createError.excel('El archivo Excel no contiene hojas válidas');
       }
+      this.typeDateCells(workbook, fileTypeDef);
 
       logOperations.excel.info(`Archivo contiene ${workbook.SheetNames.length} hoja(s): ${workbook.SheetNames.join(', ')}`);
 
-      // Procesar solo las hojas permitidas
-      // Según el tipo de archivo
-      const ALLOWED_SHEETS_BY_TYPE = {
-        home: ["RD", "skus", "PROD", "Skus", "Cintillos", "LandingWow", "Landing", "Landing1"],
-        locations: ["DESPACHO"],
-        sellers: ["Sheet1"],
-        destacados: ["Categoria","Colecciones","Top Categorias"],
-        variantes: ["Variantes"],
-        blacklist: ["SkusBlacklistPV"]
-      };
-      const allowedSheets = ALLOWED_SHEETS_BY_TYPE[fileType] || ALLOWED_SHEETS_BY_TYPE.home;
+      // Procesar solo las hojas permitidas según el tipo de archivo
+      const allowedSheets = fileTypeDef.allowedSheets;
       logOperations.excel.info(`Hojas permitidas para tipo '${fileType}': ${allowedSheets.join(', ')}`);
+      if (dryRun) {
+        logOperations.excel.info('Modo dry-run: no se realizarán subidas, movimientos ni borrados');
+      }
 
-      let finalData;
+      const normalizeSheetName = (name) => String(name || '').trim().toLowerCase();
+      const hasAllowedSheet = workbook.SheetNames.some(sheetName =>
+        allowedSheets.some(allowed => normalizeSheetName(allowed) === normalizeSheetName(sheetName))
+      );
+      if (!hasAllowedSheet) {
+        throw createError.excel(
+          `El archivo no contiene ninguna hoja permitida para el tipo '${fileType}'`,
+          { sheet: workbook.SheetNames.join(', '), allowedSheets }
+        );
+      }
 
-      // === VARIANTES: Objeto ===
-      if (fileType === 'variantes') {
-        const variantsData = this.processVariantsData(workbook, allowedSheets);
-        
-        const variantsDataisArray = Array.isArray(variantsData);
+      // Se transforma todo antes de publicar: una cancelación durante la transformación no deja nada publicado
+      // Tipos con una carga por hoja (ej: destacados) generan un JSON por hoja; el resto, uno con todas las hojas
+      const loads = [];
+      if (fileTypeDef.perSheet) {
+        const sheetsToProcess = allowedSheets.filter(s => workbook.SheetNames.includes(s));
+        for (const sheetName of sheetsToProcess) {
+          enterStage('transform', { sheet: sheetName });
+          const result = this.runProcessor(fileTypeDef, workbook, [sheetName]);
+          loads.push({ sheetName, result, data: this.buildFinalData(result, latestFileName) });
+          processStatus.completeStage(options.executionId, { records: result.totalRecords });
+          processStatus.emitEvent(options.executionId, 'records', { sheets: { [sheetName]: result.totalRecords } });
+          logOperations.excel.info(`${fileType} [${sheetName}] procesado. ${result.totalRecords} registros extraídos`);
+        }
+      } else {
+        enterStage('transform');
+        const result = this.runProcessor(fileTypeDef, workbook, allowedSheets);
+        loads.push({ sheetName: null, result, data: this.buildFinalData(result, latestFileName) });
+        processStatus.completeStage(options.executionId, {
+          records: result.totalRecords,
+          sheets: result.sheetNames,
+          ...(result.windowFilter ? { windowFilter: result.windowFilter } : {})
+        });
+        processStatus.emitEvent(options.executionId, 'records', { sheets: this.countRecordsBySheet(result) });
+      }
 
-        const totalRecords = variantsDataisArray ? 
-          (variantsData.length > 0 ? variantsData.length - 1 : 0) : // -1 por headers
-          Object.keys(variantsData).length; 
-        
-        finalData = {
-          metadata: {
-            processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-            totalSheets: 1,
-            totalRecords: totalRecords,
-            sourceFile: latestFileName,
-            sheetNames: allowedSheets.filter(s => workbook.SheetNames.includes(s)),
-            version: "1.0"
-          },
-          sheets: variantsData
-        };
+      // Cada JSON se valida contra el schema de su tipo: con violaciones no se publica ninguno
+      // Se valida antes de las reglas HOME para que el reporte de validación tenga todas las observaciones
+      const reports = loads.map(load => schemaValidator.validate(fileTypeDef, load.data, load.result.sourceMap, load.sheetName));
+      const failedReports = reports.filter(report => !report.valid);
+
+      // Copia anotada del Excel con las observaciones del processor, las reglas y el schema (en dry-run, solo en memoria)
+      let validation = null;
+      const saveValidation = async () => {
+        if (!options.executionId) return null;
+        const issues = [
+          ...loads.flatMap(load => load.result.sourceMap.issues),
+          ...validationReportService.fromSchemaReports(failedReports)
+        ];
+        return validationReportService.save(options.executionId, { localPath, sourceFile: latestFileName, issues, persist: !dryRun });
+      };
 
-        // Carga a VTEX
-        await this.saveProcessedData(finalData, fileType);
-        
-        this.lastProcessedData = finalData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Variantes procesado exitosamente. ${totalRecords} registros obtenidos`);
+      // Reglas de negocio de las hojas HOME: con incumplimientos bloqueantes no se publica
+      let rules = null;
+      if (homeRuleValidator.appliesTo(fileTypeDef)) {
+        enterStage('rules');
+        rules = homeRuleValidator.check(loads.map(load => load.result));
+        if (rules.blocking > 0) {
+          validation = await saveValidation();
+          const blocking = rules.violations.filter(violation => violation.level === 'blocking');
+          throw createError.rules(
+            `${rules.blocking} incumplimiento(s) bloqueante(s): ${Object.keys(rules.byRule).filter(rule => rules.byRule[rule].blocking > 0).join(', ')}`,
+            {
+              sheet: blocking[0].sheet,
+              row: blocking[0].row,
+              ...rules,
+              validationReport: validation ? validation.path : null
+            }
+          );
+        }
+        processStatus.completeStage(options.executionId, { warnings: rules.warnings, byRule: rules.byRule });
+      }
 
-      // === DESTACADOS: una carga por hoja ===
-      } else if (fileType === 'destacados') {
-        const sheetsToProcess = allowedSheets.filter(s => workbook.SheetNames.includes(s));
-        let lastData = null;
+      enterStage('schema');
+      validation = await saveValidation();
+
+      if (failedReports.length > 0) {
+        const violations = failedReports.flatMap(report => report.violations);
+        const totalViolations = failedReports.reduce((sum, report) => sum + report.totalViolations, 0);
+        throw createError.schema(
+          `${totalViolations} violación(es) del schema ${failedReports.map(report => report.schema).join(', ')}`,
+          {
+            sheet: violations[0].sheet,
+            row: violations[0].row,
+            totalViolations,
+            violations,
+            reports: failedReports.map(report => ({
+              schema: report.schema,
+              sheetName: report.sheetName,
+              totalViolations: report.totalViolations,
+              truncated: report.truncated
+            })),
+            validationReport: validation ? validation.path : null
+          }
+        );
+      }
+      processStatus.completeStage(options.executionId, {
+        schemas: [...new Set(reports.map(report => report.schema).filter(Boolean))],
+        ...(validation ? { validationReport: validation.path, issues: { errors: validation.errors, warnings: validation.warnings } } : {})
+      });
+
+      const publications = [];
+      for (const load of loads) {
+        const fileName = fileTypeRegistry.getOutputFileName(fileTypeDef, load.sheetName);
+        enterStage('publish', { target: fileName, ...(load.sheetName ? { sheet: load.sheetName } : {}) });
+        const previousVersion = dryRun
+          ? null
+          : await publicationService.getLatestVersion(fileName, resolvePortalTarget(latestFileName, fileName).account);
+        const publication = await this.saveProcessedData(load.data, fileTypeDef, load.sheetName, {
+          executionId: options.executionId,
+          dryRun,
+          signal,
+          expectedContentHash: options.expectedContentHashes ? options.expectedContentHashes[fileName] : undefined
+        });
+        published.push({ publication, previousVersion });
+        this.finishPublishStage(options.executionId, publication);
+        publications.push(publication);
+
+        // El Excel solo se archiva cuando todas sus publicaciones llegaron al portal: con la primera que falla
+        // no se sigue publicando; lo ya publicado se revierte y el Excel va a cuarentena (ver el catch)
+        if (!dryRun && !publication.uploaded && !publication.unchanged) {
+          throw createError.vtex(`No se pudo publicar en el portal: ${fileName}`, 502, { sourceFile: latestFileName, publications });
+        }
+      }
+      processStatus.throwIfCancelled(options.executionId);
 
-        let totalRecords = 0;
+      let finalData;
+      if (fileTypeDef.perSheet) {
+        finalData = loads.length > 0
+          ? loads[loads.length - 1].data
+          : this.buildFinalData({ data: [], totalRecords: 0, sheetNames: [] }, latestFileName);
+        this.lastProcessedData = loads.length > 0 ? finalData : null;
+        logOperations.excel.info(`Todas las hojas de ${fileType} procesadas (${loads.length} hojas)`);
+
+        finalData.metadata.totalSheets = loads.length;
+        finalData.metadata.totalRecords = loads.reduce((sum, load) => sum + load.result.totalRecords, 0);
+        finalData.metadata.sheetNames = loads.map(load => load.sheetName);
+        // finalData.sheets // TODO: Evaluar necesidad de hacer un merge de todas las hojas.
+      } else {
+        finalData = loads[0].data;
+        this.lastProcessedData = finalData;
+        logOperations.excel.info(`Archivo ${fileType} procesado exitosamente. ${loads[0].result.totalRecords} registros extraídos de ${finalData.metadata.totalSheets} hoja(s)`);
+      }
+      this.lastProcessedTime = new Date();
+      const windowFilter = loads.length > 0 ? loads[0].result.windowFilter || null : null;
 
-        for (const sheetName of sheetsToProcess) {
-          const sheetData = this.processDestacadosData(workbook, [sheetName]);
-          const totalRecordsSheet = sheetData.length;
-
-          finalData = {
-            metadata: {
-              processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-              totalSheets: 1,
-              totalRecords: totalRecordsSheet,
-              sourceFile: latestFileName,
-              sheetNames: [sheetName],
-              version: "1.0"
-            },
-            sheets: sheetData
-          };
-
-          await this.saveProcessedData(finalData, fileType, sheetName);
-          logOperations.excel.info(`Destacados [${sheetName}] procesado. ${totalRecordsSheet} registros extraídos`);
-          lastData = finalData;
-          totalRecords += totalRecordsSheet;
+      if (dryRun) {
+        return { data: finalData, publications, dryRun, validation, rules, windowFilter, archivePath: null };
+      }
+
+      // Desde aquí la ejecución ya no se puede cancelar: el portal queda publicado y el Excel archivado
+      enterStage('archive');
+      processStatus.disableCancellation(options.executionId);
+      const archivePath = await this.archiveSourceExcel(pendingFile);
+      processStatus.completeStage(options.executionId, { archivePath });
+
+      return { data: finalData, publications, dryRun, validation, rules, windowFilter, archivePath };
+
+    } catch (caught) {
+      // Si se pidió cancelar, cualquier error (ej: el AbortError de la descarga) se trata como cancelación
+      const error = signal && signal.aborted ? signal.reason : caught;
+      if (!error.stage) error.stage = stage;
+      processStatus.failStage(options.executionId, error);
+
+      // Cancelada: se revierte lo publicado y el Excel queda en la cola (no va a cuarentena)
+      if (error.type === 'CANCELLATION') {
+        logOperations.excel.warn(`Procesamiento cancelado (etapa: ${error.stage})`);
+        if (!dryRun) {
+          processStatus.startStage(options.executionId, 'revert');
+          error.details = await this.revertPublications(published, options.executionId);
+          processStatus.completeStage(options.executionId, error.details);
         }
+        throw error;
+      }
 
-        this.lastProcessedData = lastData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Todas las hojas de Destacados procesadas (${sheetsToProcess.length} hojas)`);
+      // El contenido ya no es el aprobado (ej: pasó un inicio/fin de ventana): el Excel queda en Aprobaciones/
+      // para pedir una nueva aprobación (pipelineService.run); se revierte lo que se haya llegado a publicar
+      if (error.type === 'APPROVAL_MISMATCH') {
+        logOperations.excel.warn(error.message);
+        processStatus.startStage(options.executionId, 'revert');
+        error.details.revert = await this.revertPublications(published, options.executionId, 'revert');
+        processStatus.completeStage(options.executionId, error.details.revert);
+        throw error;
+      }
 
-        finalData.metadata.totalSheets = sheetsToProcess.length;
-        finalData.metadata.totalRecords = totalRecords;
-        finalData.metadata.sheetNames = sheetsToProcess;
-        // finalData.sheets // TODO: Evaluar necesidad de hacer un merge de todas las hojas.
+      logOperations.excel.error(`Error procesando archivo Excel (etapa: ${error.stage})`, error);
 
-      // === BLACKLIST: array de objetos ===
-      } else if (fileType === 'blacklist') {
-        const blacklistData = this.processBlacklistData(workbook, allowedSheets);
-        const totalRecords = blacklistData.length;
-        const normalizeSheetName = (name) => String(name || '').trim().toLowerCase();
-        const matchedSheetNames = workbook.SheetNames.filter(sheetName =>
-          allowedSheets.some(allowed => normalizeSheetName(allowed) === normalizeSheetName(sheetName))
-        );
+      // Falló una publicación: se revierte lo que llegó al portal para no dejar una carga a medias;
+      // el resultado queda en el reporte de la cuarentena
+      if (!dryRun && error.stage === 'publish' && published.length > 0) {
+        processStatus.startStage(options.executionId, 'revert');
+        const revert = await this.revertPublications(published, options.executionId, 'revert');
+        processStatus.completeStage(options.executionId, revert);
+        error.details = { ...(error.details || error.response || {}), revert };
+      }
 
-        finalData = {
-          metadata: {
-            processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-            totalSheets: 1,
-            totalRecords: totalRecords,
-            sourceFile: latestFileName,
-            sheetNames: matchedSheetNames,
-            version: "1.0"
-          },
-          sheets: blacklistData,
-          skus: blacklistData.map(item => item.sku).filter(Boolean)
-        };
-        await this.saveProcessedData(finalData, fileType);
+      // Si falló el archivado el Excel ya fue publicado: no se pone en cuarentena
+      if (pendingFile && !dryRun && error.stage !== 'archive') {
+        processStatus.startStage(options.executionId, 'quarantine');
+        await this.quarantineExcel(pendingFile, error, options.executionId);
+        processStatus.completeStage(options.executionId);
+      }
+      throw error;
 
-        this.lastProcessedData = finalData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Blacklist procesado exitosamente. ${totalRecords} registros extraídos`);
+    } finally {
+      // La copia local descargada del bucket ya no se necesita (los recibidos por API los borra la ruta)
+      if (downloadedPath) {
+        processStatus.startStage(options.executionId, 'cleanup');
+        await fs.unlink(downloadedPath).catch(error => {
+          logOperations.excel.warn(`No se pudo eliminar la copia local ${downloadedPath}: ${error.message}`);
+        });
+        processStatus.completeStage(options.executionId, { removed: downloadedPath });
+      }
+    }
+  }
 
-      // === SELLERS: array de objetos ===
-      } else if (fileType === 'sellers') {
-        const sellersData = this.processSellersData(workbook, allowedSheets);
-        const totalRecords = sellersData.length;
-        
-        finalData = {
-          metadata: {
-            processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-            totalSheets: 1,
-            totalRecords: totalRecords,
-            sourceFile: latestFileName,
-            sheetNames: allowedSheets.filter(s => workbook.SheetNames.includes(s)),
-            version: "1.0"
-          },
-          sheets: sellersData
+  /**
+   * Restaura la versión previa de cada archivo publicado en una ejecución que no terminó
+   * También se restauran las subidas cortadas a mitad o rechazadas (no se sabe si VTEX llegó a aplicarlas)
+   * @param {Array<{publication: object, previousVersion: object|null}>} published
+   * @param {string|null} executionId - Ejecución que no terminó
+   * @param {string} trigger - Trigger de las versiones restauradas: 'cancel' (cancelación) o 'revert' (falló una publicación)
+   * @returns {Promise<{reverted: Array<string>, notReverted: Array<{fileName: string, reason: string}>}>}
+   */
+  async revertPublications(published, executionId = null, trigger = 'cancel') {
+    const reverted = [];
+    const notReverted = [];
+
+    for (const { publication, previousVersion } of published) {
+      if (publication.unchanged) continue;
+
+      if (!previousVersion || !previousVersion.archivePath) {
+        if (publication.uploaded) {
+          notReverted.push({ fileName: publication.fileName, reason: 'No hay una versión anterior archivada para restaurar' });
+          logOperations.excel.error(`No se pudo revertir '${publication.fileName}': no hay una versión anterior archivada`);
+        }
+        continue;
+      }
+
+      try {
+        await publicationService.restoreVersion(previousVersion, { executionId, trigger });
+        reverted.push(publication.fileName);
+      } catch (error) {
+        notReverted.push({ fileName: publication.fileName, reason: error.message });
+        logOperations.excel.error(`No se pudo revertir '${publication.fileName}' a la versión ${previousVersion.id}`, error);
+      }
+    }
+
+    if (reverted.length > 0) {
+      logOperations.excel.info(`Publicaciones revertidas (${trigger}): ${reverted.join(', ')}`);
+    }
+    return { reverted, notReverted };
+  }
+
+  /**
+   * Cierra la etapa 'publish' de la ejecución según el resultado de la publicación
+   */
+  finishPublishStage(executionId, publication) {
+    const details = {
+      account: publication.account || publication.target?.account || null,
+      uploaded: publication.uploaded,
+      unchanged: Boolean(publication.unchanged),
+      dryRun: Boolean(publication.dryRun),
+      versionId: publication.versionId || null
+    };
+
+    if (publication.uploaded || publication.unchanged || publication.dryRun) {
+      processStatus.completeStage(executionId, details);
+    } else {
+      processStatus.failStage(executionId, createError.vtex(`No se pudo subir '${publication.fileName}' al portal`, 502), details);
+    }
+  }
+
+  /**
+   * Ejecuta el processor declarado para el tipo de archivo
+   * @param {object} fileTypeDef - Definición del registro de tipos
+   * @param {object} workbook - Workbook de XLSX
+   * @param {Array} sheets - Hojas a procesar
+   * @returns {{data: *, totalRecords: number, sheetNames: Array, totalSheets?: number, extra?: object, sourceMap: SourceMap,
+   *   windowFilter?: object}}
+   *   sourceMap: hoja/fila/columna de Excel de cada registro de `sheets` (para informar errores de validación)
+   *   windowFilter: filas descartadas por ventana y próximo inicio/fin (solo 'sheets' con HOME_WINDOW_FILTER)
+   *   records: todas las filas de cada hoja, antes del filtro por ventana (solo 'sheets'; sobre ellas se aplican las reglas HOME)
+   */
+  runProcessor(fileTypeDef, workbook, sheets) {
+    const presentSheets = sheets.filter(s => workbook.SheetNames.includes(s));
+    const sourceMap = new SourceMap(['sheets']);
+
+    switch (fileTypeDef.processor) {
+      // Objeto { hoja: [registros] }
+      case 'sheets': {
+        // Con HOME_WINDOW_FILTER solo quedan las filas activas ahora (ver filterActiveRows)
+        const windowFilter = config.homeWindow.enabled
+          ? { now: Date.now(), timeZone: config.homeWindow.timeZone, dropped: { expired: 0, pending: 0, hidden: 0 }, nextBoundary: null }
+          : null;
+        const records = {};
+        const data = this.processHomeSheets(workbook, sheets, sourceMap, windowFilter, records);
+        const sheetNames = Object.keys(data);
+        return {
+          data,
+          records,
+          totalRecords: sheetNames.reduce((sum, name) => sum + data[name].length, 0),
+          totalSheets: sheetNames.length,
+          sheetNames,
+          sourceMap,
+          windowFilter: windowFilter && {
+            timeZone: windowFilter.timeZone,
+            dropped: windowFilter.dropped,
+            nextBoundary: windowFilter.nextBoundary ? new Date(windowFilter.nextBoundary).toISOString() : null
+          }
         };
-        await this.saveProcessedData(finalData, fileType);
-        
-        this.lastProcessedData = finalData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Sellers procesado exitosamente. ${totalRecords} registros extraídos`);
+      }
 
-      // === LOCATIONS: array de arrays ===
-      } else if (fileType === 'locations') {
-        const locationsData = this.processLocationsData(workbook, allowedSheets);
-        const totalRecords = locationsData.length > 0 ? locationsData.length - 1 : 0; // -1 por headers
-        
-        finalData = {
-          metadata: {
-            processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-            totalSheets: 1,
-            totalRecords: totalRecords,
-            sourceFile: latestFileName,
-            sheetNames: allowedSheets.filter(s => workbook.SheetNames.includes(s)),
-            version: "1.0"
-          },
-          sheets: locationsData
+      // Array de arrays con fila de headers
+      case 'matrix': {
+        const data = this.processLocationsData(workbook, sheets, fileTypeDef.type, sourceMap);
+        return {
+          data,
+          totalRecords: data.length > 0 ? data.length - 1 : 0, // -1 por headers
+          sheetNames: presentSheets,
+          sourceMap
         };
-        await this.saveProcessedData(finalData, fileType);
-        
-        this.lastProcessedData = finalData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Locations procesado exitosamente. ${totalRecords} registros extraídos`);
+      }
 
-      // === HOME (y otros): estructura con metadata + sheets ===
-      } else {
-        const allSheetsData = {};
-        let totalRecords = 0;
+      // Array de objetos
+      case 'sellers': {
+        const data = this.processSellersData(workbook, sheets, sourceMap);
+        return { data, totalRecords: data.length, sheetNames: presentSheets, sourceMap };
+      }
 
-        for (const sheetName of workbook.SheetNames) {
-          if (!allowedSheets.includes(sheetName)) {
-            logOperations.excel.info(`Saltando hoja no permitida: ${sheetName}`);
-            continue;
-          }
-          try {
-            logOperations.excel.info(`Procesando hoja: ${sheetName}`);
-            const worksheet = workbook.Sheets[sheetName];
-            if (!worksheet) {
-              logOperations.excel.warn(`No se pudo leer la hoja: ${sheetName}`);
-              continue;
-            }
-            // Convertir a JSON
-            const rawData = XLSX.utils.sheet_to_json(worksheet, {
-            header: 1, // Usar índices numéricos como headers
-            defval: '', // Valor por defecto para celdas vacías
-            blankrows: false // Omitir filas completamente vacías
-            });
-            if (rawData.length === 0) {
-              logOperations.excel.warn(`La hoja ${sheetName} está vacía`);
-              allSheetsData[sheetName] = [];
-              continue;
-            }
-            // Procesar y estructurar los datos de esta hoja
-            const processedData = this.processRawData(rawData, sheetName);
-            allSheetsData[sheetName] = processedData;
-            totalRecords += processedData.length;
-            logOperations.excel.info(`Hoja ${sheetName} procesada: ${processedData.length} registros`);
-          } catch (error) {
-            logOperations.excel.error(`Error procesando hoja ${sheetName}`, error);
-            allSheetsData[sheetName] = [];
-          }
-        }
-        // Crear estructura final solo con las hojas permitidas
-        finalData = {
-          metadata: {
-            processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
-            totalSheets: Object.keys(allSheetsData).length,
-            totalRecords: totalRecords,
-            sourceFile: latestFileName,
-            sheetNames: Object.keys(allSheetsData),
-            version: "1.0"
-          },
-          sheets: allSheetsData
+      // Array de objetos + lista plana de skus
+      case 'blacklist': {
+        const data = this.processBlacklistData(workbook, sheets, sourceMap);
+        const normalizeSheetName = (name) => String(name || '').trim().toLowerCase();
+        const sheetNames = workbook.SheetNames.filter(sheetName =>
+          sheets.some(allowed => normalizeSheetName(allowed) === normalizeSheetName(sheetName))
+        );
+        return {
+          data,
+          totalRecords: data.length,
+          sheetNames,
+          extra: { skus: data.map(item => item.sku).filter(Boolean) },
+          sourceMap
         };
-        // Guardar los datos procesados
-        await this.saveProcessedData(finalData, fileType);
-        this.lastProcessedData = finalData;
-        this.lastProcessedTime = new Date();
-        logOperations.excel.info(`Excel procesado exitosamente. ${totalRecords} registros extraídos de ${Object.keys(allSheetsData).length} hojas`);
       }
-      return finalData;
 
-    } catch (error) {
-      logOperations.excel.error('Error procesando archivo Excel', error);
-      throw error;
+      // Árbol departamento → categoría → subcategoría
+      case 'variantes': {
+        const data = this.processVariantsData(workbook, sheets, sourceMap);
+        return { data, totalRecords: Object.keys(data).length, sheetNames: presentSheets, sourceMap };
+      }
+
+      default:
+        throw createError.excel(`Processor desconocido: ${fileTypeDef.processor}`);
     }
   }
 
+  /**
+   * Registros por hoja del resultado de un processor
+   * Solo el processor 'sheets' separa los registros por hoja; el resto informa el total
+   * @returns {object} { hoja: cantidad }
+   */
+  countRecordsBySheet(result) {
+    const { data } = result;
+    if (data && !Array.isArray(data) && Object.values(data).every(Array.isArray)) {
+      return Object.fromEntries(Object.entries(data).map(([sheetName, rows]) => [sheetName, rows.length]));
+    }
+    return { [result.sheetNames.join(', ') || 'data']: result.totalRecords };
+  }
+
+  /**
+   * Construye la estructura final { metadata, sheets } a partir del resultado de un processor
+   */
+  buildFinalData(result, sourceFile) {
+    return {
+      metadata: {
+        processedAt: new Date().toLocaleString('sv-SE', { timeZone: 'America/Lima' }).replace(' ', 'T')+':00',
+        totalSheets: result.totalSheets !== undefined ? result.totalSheets : 1,
+        totalRecords: result.totalRecords,
+        sourceFile,
+        sheetNames: result.sheetNames,
+        version: "1.0"
+      },
+      sheets: result.data,
+      ...(result.extra || {})
+    };
+  }
+
+  /**
+   * Procesa las hojas de tipo HOME: cada hoja se convierte en un array de registros
+   * @param {object|null} windowFilter - Filtro por ventana (ver filterActiveRows); null publica todas las filas
+   * @param {object|null} allRecords - Si se indica, recibe { nombreHoja: [registros] } con todas las filas, antes del filtro por ventana
+   * @returns {object} Objeto { nombreHoja: [registros] }
+   */
+  processHomeSheets(workbook, allowedSheets, sourceMap = new SourceMap(), windowFilter = null, allRecords = null) {
+    const allSheetsData = {};
+
+    for (const sheetName of workbook.SheetNames) {
+      if (!allowedSheets.includes(sheetName)) {
+        logOperations.excel.info(`Saltando hoja no permitida: ${sheetName}`);
+        continue;
+      }
+      try {
+        logOperations.excel.info(`Procesando hoja: ${sheetName}`);
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet) {
+          logOperations.excel.warn(`No se pudo leer la hoja: ${sheetName}`);
+          continue;
+        }
+        // Convertir a JSON (filas como arrays, sin filas vacías)
+        const { rows: rawData, rowNumbers } = this.readSheetRows(worksheet);
+        if (rawData.length === 0) {
+          logOperations.excel.warn(`La hoja ${sheetName} está vacía`);
+          allSheetsData[sheetName] = [];
+          if (allRecords) allRecords[sheetName] = [];
+          continue;
+        }
+        // Procesar y estructurar los datos de esta hoja
+        const rows = this.processRawData(rawData, sheetName, rowNumbers, sourceMap);
+        if (allRecords) allRecords[sheetName] = rows;
+        const processedData = windowFilter ? this.filterActiveRows(rows, sheetName, windowFilter) : rows;
+        allSheetsData[sheetName] = processedData;
+        processedData.forEach((record, index) => {
+          sourceMap.addRecord([sheetName, index], { sheet: sheetName, row: record._metadata.sourceRow });
+        });
+        sourceMap.setColumns(
+          sheetName,
+          Object.fromEntries(rawData[0].map((header, index) => [header && String(header).trim() ? this.cleanHeaderName(String(header)) : null, index]).filter(([field]) => field)),
+          rawData[0]
+        );
+        logOperations.excel.info(`Hoja ${sheetName} procesada: ${processedData.length} registros`);
+      } catch (error) {
+        logOperations.excel.error(`Error procesando hoja ${sheetName}`, error);
+        sourceMap.addIssue({ severity: 'error', sheet: sheetName, message: `Hoja descartada: ${error.message}` });
+        allSheetsData[sheetName] = [];
+      }
+    }
+
+    return allSheetsData;
+  }
+
   /**
    * Procesa los datos raw del Excel y los estructura
+   * @param {Array<number>|null} rowNumbers - Fila de Excel de cada elemento de rawData (ver readSheetRows)
+   * @param {SourceMap|null} sourceMap - Registra las filas descartadas
    */
-  processRawData(rawData, sheetName = 'Unknown') {
+  processRawData(rawData, sheetName = 'Unknown', rowNumbers = null, sourceMap = null) {
     try {
       if (rawData.length < 2) {
         logOperations.excel.warn(`La hoja ${sheetName} no tiene suficientes datos (debe tener al menos headers y una fila de datos)`);
@@ -393,17 +708,21 @@ class ExcelService {
 
       // Procesar cada fila de datos
       const processedData = dataRows
-        .filter(row => this.isValidRow(row)) // Filtrar filas vacías o inválidas
-        .map((row, index) => {
+        .map((row, index) => ({ row, rowNumber: rowNumbers ? rowNumbers[index + 1] : index + 2 })) // +2 porque Excel empieza en 1 y saltamos header
+        .filter(({ row }) => this.isValidRow(row)) // Filtrar filas vacías o inválidas
+        .map(({ row, rowNumber }) => {
           try {
-            return this.processRow(headers, row, index + 2, sheetName); // +2 porque Excel empieza en 1 y saltamos header
+            return this.processRow(headers, row, rowNumber, sheetName);
           } catch (error) {
-            logOperations.excel.warn(`Error procesando fila ${index + 2} en hoja ${sheetName}: ${error.message}`);
+            logOperations.excel.warn(`Error procesando fila ${rowNumber} en hoja ${sheetName}: ${error.message}`);
+            if (sourceMap) {
+              sourceMap.addIssue({ severity: 'error', sheet: sheetName, row: rowNumber, message: `Fila descartada: ${error.message}` });
+            }
             return null;
           }
         })
-        .filter(row => row !== null)
-        //.filter(row => row.visible === true); // Solo incluir filas con visible === true
+        .filter(row => row !== null);
+        // Las filas ocultas o fuera de su ventana se descartan en filterActiveRows (HOME_WINDOW_FILTER)
 
       logOperations.excel.info(`Hoja ${sheetName} - Datos procesados: ${processedData.length} registros válidos de ${dataRows.length} filas`);
 
@@ -415,8 +734,77 @@ class ExcelService {
     }
   }
 
-  transformarEnArbol(rawData) {
+  /**
+   * Filtro por ventana (HOME_WINDOW_FILTER): deja solo las filas activas en windowFilter.now
+   * Descarta las ocultas (visible = false), las vencidas (un fin ya pasó) y las pendientes (un inicio todavía no llega);
+   * acumula en windowFilter lo descartado y el próximo inicio o fin, para republicar en ese momento
+   * Las fechas se leen en la zona horaria configurada; las que no se pueden interpretar no descartan la fila
+   * (las informa la regla dateFormat)
+   * @param {Array<object>} records - Registros de la hoja (processRawData)
+   * @param {object} windowFilter - { now, timeZone, dropped: { expired, pending, hidden }, nextBoundary }
+   */
+  filterActiveRows(records, sheetName, windowFilter) {
+    const { now, timeZone } = windowFilter;
+    const dropped = { expired: 0, pending: 0, hidden: 0 };
+
+    const active = records.filter(record => {
+      if (this.isHiddenValue(record.visible)) {
+        dropped.hidden++;
+        return false;
+      }
+
+      let state = 'active';
+      for (const field of Object.keys(record).filter(key => key !== '_metadata' && getWindowBound(key))) {
+        const wallTime = parseWindowDate(record[field]);
+        if (wallTime === null) continue;
+
+        const at = toInstant(wallTime, timeZone);
+        if (at > now && (windowFilter.nextBoundary === null || at < windowFilter.nextBoundary)) {
+          windowFilter.nextBoundary = at;
+        }
+        if (getWindowBound(field) === 'fin' && at <= now) {
+          state = 'expired';
+        } else if (getWindowBound(field) === 'inicio' && at > now && state === 'active') {
+          state = 'pending';
+        }
+      }
+
+      if (state !== 'active') {
+        dropped[state]++;
+        return false;
+      }
+      return true;
+    });
+
+    Object.keys(dropped).forEach(key => { windowFilter.dropped[key] += dropped[key]; });
+    if (active.length < records.length) {
+      logOperations.excel.info(`Hoja ${sheetName}: ${records.length - active.length} fila(s) fuera de ventana descartada(s) (vencidas: ${dropped.expired}, pendientes: ${dropped.pending}, ocultas: ${dropped.hidden})`);
+    }
+    return active;
+  }
+
+  /**
+   * Indica si el valor de la columna visible oculta la fila (false, 0, "no", "falso")
+   * Sin columna visible (o vacía) la fila se muestra
+   */
+  isHiddenValue(value) {
+    if (value === null || value === undefined) return false;
+    if (value === false || value === 0) return true;
+    return ['false', 'falso', 'no', '0'].includes(String(value).trim().toLowerCase());
+  }
+
+  /**
+   * Arma el árbol departamento → categoría → subcategoría (columnas B, D, F y atributo en G)
+   * @param {Array} rawData - Matriz con fila de headers
+   * @param {Function|null} getOrigin - (índice de fila en rawData) => { sheet, row } en el Excel
+   * @param {SourceMap|null} sourceMap - Registra la fila de cada nodo del árbol
+   */
+  transformarEnArbol(rawData, getOrigin = null, sourceMap = null) {
     const arbol = {};
+    const record = (segments, index, column) => {
+      const origin = getOrigin ? getOrigin(index) : null;
+      if (sourceMap && origin) sourceMap.addRecord(segments, { ...origin, column });
+    };
 
     // Iteramos desde 1 para omitir cabeceras
     for (let i = 1; i < rawData.length; i++) {
@@ -427,22 +815,31 @@ class ExcelService {
         const subcatId = fila[5];
         const atributo = fila[6]; // Columna G
 
-        if (!depId) continue; // Por seguridad, si la fila está vacía
+        if (!depId) { // Por seguridad, si la fila está vacía
+            const origin = getOrigin ? getOrigin(i) : null;
+            if (sourceMap && origin) {
+                sourceMap.addIssue({ ...origin, column: 'B', message: 'Fila sin departamento: no se incluye en el árbol' });
+            }
+            continue;
+        }
 
         // 1. Nivel Departamento
         if (!arbol[depId]) {
             arbol[depId] = { atributo: null, categorias: {} };
+            record([depId], i, 'B');
         }
 
         if (catId) {
             // 2. Nivel Categoría
             if (!arbol[depId].categorias[catId]) {
                 arbol[depId].categorias[catId] = { atributo: null, subcategorias: {} };
+                record([depId, 'categorias', catId], i, 'D');
             }
 
             if (subcatId) {
                 // 3. Nivel Subcategoría (Asignamos el atributo a la subcategoría específica)
                 arbol[depId].categorias[catId].subcategorias[subcatId] = atributo;
+                record([depId, 'categorias', catId, 'subcategorias', subcatId], i, 'G');
             } else {
                 // Si no hay subcategoría en la fila, el atributo aplica a toda la Categoría
                 arbol[depId].categorias[catId].atributo = atributo;
@@ -456,14 +853,14 @@ class ExcelService {
     return arbol;
   }
 
-  processVariantsData(workbook, allowedSheets) {
-    const rawData = this.processLocationsData(workbook, allowedSheets, 'variantes');
-    return this.transformarEnArbol(rawData);
-  }
-
-  // Procesamiento sin transformación
-  processDestacadosData(workbook, allowedSheets) { 
-    return this.processLocationsData(workbook, allowedSheets, 'destacados');
+  processVariantsData(workbook, allowedSheets, sourceMap = new SourceMap()) {
+    // Filas de la matriz intermedia, para ubicar cada nodo del árbol en el Excel
+    const matrixMap = new SourceMap();
+    const rawData = this.processLocationsData(workbook, allowedSheets, 'variantes', matrixMap);
+    for (const sheetName of Object.keys(matrixMap.columns)) {
+      sourceMap.setColumns(sheetName, { atributo: 6 }, rawData[0] || []);
+    }
+    return this.transformarEnArbol(rawData, index => matrixMap.getRecord([index]), sourceMap);
   }
 
   /**
@@ -471,7 +868,7 @@ class ExcelService {
    * Formato: [ [headers...], [fila1...], [fila2...], ... ]
    * Valores como strings, trailing empty strings eliminados.
    */
-  processLocationsData(workbook, allowedSheets, fileType = 'locations') {
+  processLocationsData(workbook, allowedSheets, fileType = 'locations', sourceMap = new SourceMap()) {
     const result = [];
 
     for (const sheetName of workbook.SheetNames) {
@@ -487,12 +884,7 @@ class ExcelService {
       }
 
       // raw: false para preservar formatos (ej: "010201" no pierde el cero)
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: '',
-        blankrows: false,
-        raw: false,
-      });
+      const { rows: rawData, rowNumbers } = this.readSheetRows(worksheet, { raw: false });
 
       if (rawData.length < 2) {
         logOperations.excel.warn(`La hoja ${sheetName} está vacía o sin datos`);
@@ -501,20 +893,28 @@ class ExcelService {
 
       // Primera fila = headers (nombres originales)
       const headers = rawData[0].map(h => String(h).trim());
+      sourceMap.addRecord([result.length], { sheet: sheetName, row: rowNumbers[0] });
+      sourceMap.setColumns(sheetName, Object.fromEntries(headers.map((_, index) => [index, index])), headers);
       result.push(headers);
 
       // Filas de datos
-      const dataRows = rawData.slice(1).filter(row => this.isValidRow(row));
+      const dataRows = rawData.slice(1);
 
-      for (const row of dataRows) {
+      dataRows.forEach((row, index) => {
+        const rowNumber = rowNumbers[index + 1];
+        sourceMap.addRecord([result.length], { sheet: sheetName, row: rowNumber });
         const stringRow = headers.map((_, colIndex) => {
           const val = row[colIndex];
-          if (val === null || val === undefined || val === '' || val === '#REF!') return '';
+          if (val === '#REF!') {
+            sourceMap.addIssue({ sheet: sheetName, row: rowNumber, field: colIndex, value: val, message: 'Referencia rota (#REF!): se publica vacío' });
+            return '';
+          }
+          if (val === null || val === undefined || val === '') return '';
           if (typeof val === 'boolean') return val ? 'TRUE' : 'FALSE';
           return String(val);
         });
         result.push(stringRow);
-      }
+      });
 
       logOperations.excel.info(`Hoja ${sheetName} (${fileType}) procesada: ${dataRows.length} registros`);
     }
@@ -536,9 +936,10 @@ class ExcelService {
    * Mapea headers específicos de sellers al formato JSON requerido.
    * @param {object} workbook - Workbook de XLSX
    * @param {Array} allowedSheets - Lista de hojas permitidas
+   * @param {SourceMap} sourceMap - Registra la fila y columnas de Excel de cada seller
    * @returns {Array} Array de objetos con formato sellers
    */
-  processSellersData(workbook, allowedSheets) {
+  processSellersData(workbook, allowedSheets, sourceMap = new SourceMap()) {
     const result = [];
 
     for (const sheetName of workbook.SheetNames) {
@@ -553,13 +954,8 @@ class ExcelService {
         continue;
       }
 
-      // Leer como array de arrays para procesar manualmente
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: '',
-        blankrows: false,
-        raw: false, // Mantener formatos como texto
-      });
+      // Leer como array de arrays para procesar manualmente (raw: false mantiene formatos como texto)
+      const { rows: rawData, rowNumbers } = this.readSheetRows(worksheet, { raw: false });
 
       if (rawData.length < 2) {
         logOperations.excel.warn(`La hoja ${sheetName} está vacía o sin datos`);
@@ -590,12 +986,21 @@ class ExcelService {
       });
 
       logOperations.excel.info(`Sellers - Headers mapeados: ${Object.keys(indexToField).length} campos`);
+      sourceMap.setColumns(sheetName, Object.fromEntries(Object.entries(indexToField).map(([index, field]) => [field, index])), excelHeaders);
 
       // Procesar filas de datos
-      const dataRows = rawData.slice(1).filter(row => this.isValidRow(row));
+      const dataRows = rawData.slice(1);
 
-      for (const row of dataRows) {
+      dataRows.forEach((row, rowIndex) => {
         const sellerObj = {};
+        const rowNumber = rowNumbers[rowIndex + 1];
+        const coerced = (fieldName, original, value) => sourceMap.addIssue({
+          sheet: sheetName,
+          row: rowNumber,
+          field: fieldName,
+          value: original,
+          message: `'${original}' no es un número válido: se publica ${value}`
+        });
         
         // Mapear cada columna según el índice
         Object.entries(indexToField).forEach(([index, fieldName]) => {
@@ -616,6 +1021,7 @@ class ExcelService {
             // sales, stars: números
             if (fieldName === 'sales' || fieldName === 'stars') {
               const num = parseFloat(value);
+              if (isNaN(num)) coerced(fieldName, value, 0);
               value = isNaN(num) ? 0 : num;
             }
             // delivery: extraer número de porcentaje "95%" -> 95
@@ -623,11 +1029,13 @@ class ExcelService {
               // Remover el símbolo % y convertir a número
               const cleanValue = value.replace('%', '').trim();
               const num = parseFloat(cleanValue);
+              if (isNaN(num)) coerced(fieldName, value, 0);
               value = isNaN(num) ? 0 : num;
             }
             // isNew: 0 o 1
             else if (fieldName === 'isNew') {
               const num = parseInt(value);
+              if (isNaN(num)) coerced(fieldName, value, 0);
               value = (isNaN(num) || num === 0) ? 0 : 1;
             }
           }
@@ -635,11 +1043,10 @@ class ExcelService {
           sellerObj[fieldName] = value;
         });
 
-        // Solo agregar si tiene al menos sellerId
-        if (sellerObj.sellerId && sellerObj.sellerId !== '') {
-          result.push(sellerObj);
-        }
-      }
+        // Las filas sin sellerId se conservan: el schema de sellers las rechaza con su fila
+        sourceMap.addRecord([result.length], { sheet: sheetName, row: rowNumber });
+        result.push(sellerObj);
+      });
 
       logOperations.excel.info(`Hoja ${sheetName} (Sellers) procesada: ${result.length} registros`);
     }
@@ -648,7 +1055,7 @@ class ExcelService {
     return result;
   }
 
-  processBlacklistData(workbook, allowedSheets) {
+  processBlacklistData(workbook, allowedSheets, sourceMap = new SourceMap()) {
     const result = [];
     const normalizeSheetName = (name) => String(name || '').trim().toLowerCase();
     const normalizeCellValue = (value) => {
@@ -714,12 +1121,7 @@ class ExcelService {
         continue;
       }
 
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: '',
-        blankrows: false,
-        raw: false,
-      });
+      const { rows: rawData, rowNumbers } = this.readSheetRows(worksheet, { raw: false });
 
       if (rawData.length < 2) {
         logOperations.excel.warn(`La hoja ${sheetName} está vacía o sin datos`);
@@ -745,26 +1147,37 @@ class ExcelService {
       });
 
       logOperations.excel.info(`Blacklist - Headers mapeados: ${Object.keys(indexToField).length} campos`);
+      sourceMap.setColumns(sheetName, Object.fromEntries(Object.entries(indexToField).map(([index, field]) => [field, index])), excelHeaders);
 
-      const dataRows = rawData.slice(1).filter(row => this.isValidRow(row));
-      const rowOffset = 2;
+      const dataRows = rawData.slice(1);
 
       dataRows.forEach((row, rowIndex) => {
         const blacklistObj = {};
-        const rowNumber = rowIndex + rowOffset;
+        const rowNumber = rowNumbers[rowIndex + 1];
 
         Object.entries(indexToField).forEach(([index, fieldName]) => {
           let value = row[index];
           if (fieldName === 'page') {
             blacklistObj[fieldName] = getBlacklistPageValue(worksheet, rowNumber, index, value);
+            if (normalizeCellValue(value) === '#NAME?' || normalizeCellValue(worksheet[XLSX.utils.encode_cell({ c: Number(index), r: rowNumber - 1 })]?.w) === '#NAME?') {
+              sourceMap.addIssue({
+                sheet: sheetName,
+                row: rowNumber,
+                field: fieldName,
+                value: '#NAME?',
+                message: blacklistObj[fieldName]
+                  ? `Fórmula con error (#NAME?): se publica '${blacklistObj[fieldName]}', tomado del hipervínculo/fórmula`
+                  : 'Fórmula con error (#NAME?): se publica vacío'
+              });
+            }
           } else {
             blacklistObj[fieldName] = normalizeCellValue(value);
           }
         });
 
-        if (blacklistObj.seller && blacklistObj.seller !== '') {
-          result.push(blacklistObj);
-        }
+        // Las filas sin seller se conservan: el schema de blacklist las rechaza con su fila
+        sourceMap.addRecord([result.length], { sheet: sheetName, row: rowNumber });
+        result.push(blacklistObj);
       });
 
       logOperations.excel.info(`Hoja ${sheetName} (Blacklist) procesada: ${result.length} registros`);
@@ -794,9 +1207,6 @@ class ExcelService {
       }
     });
 
-    // Validaciones específicas (personalizable según tus necesidades)
-    this.validateRowData(processedRow, rowNumber, sheetName);
-
     return processedRow;
   }
 
@@ -815,26 +1225,16 @@ class ExcelService {
 
   /**
    * Procesa el valor de una celda individual
+   * Las celdas de fecha ya llegan como texto con el formato de fecha del tipo (ver typeDateCells)
    */
   processCellValue(value, header) {
     if (value === null || value === undefined || value === '') {
       return null;
     }
 
-    // Si el header es 'inicio' o 'fin', devolver el valor como string tal cual
-    if (header && (header.toLowerCase().includes('inicio') || header.toLowerCase().includes('fin'))) {
-      // Si viene como número (fecha Excel), convertir a string dd/mm/yyyy HH:MM:SS
-      if (typeof value === 'number') {
-        // Excel almacena fechas como días desde 1899-12-30
-        const excelEpoch = new Date(Date.UTC(1899, 11, 30));
-        const ms = value * 24 * 60 * 60 * 1000;
-        const dateObj = new Date(excelEpoch.getTime() + ms);
-        const pad = n => String(n).padStart(2, '0');
-        const formatted = `${pad(dateObj.getDate())}/${pad(dateObj.getMonth()+1)}/${dateObj.getFullYear()} ${pad(dateObj.getHours())}:${pad(dateObj.getMinutes())}:${pad(dateObj.getSeconds())}`;
-        return formatted;
-      }
-      // Si viene como string, devolver tal cual
-      return String(value);
+    // Las columnas de ventana (inicio/fin) escritas como texto se publican tal cual
+    if (getWindowBound(header) && typeof value === 'string') {
+      return value;
     }
 
     // Si es un número en Excel, ya viene como número
@@ -850,18 +1250,70 @@ class ExcelService {
         const num = parseFloat(trimmed);
         return !isNaN(num) ? num : trimmed;
       }
-      // Intentar convertir fechas (si el header sugiere que es fecha)
-      if (header.toLowerCase().includes('fecha') || header.toLowerCase().includes('date')) {
-        const date = new Date(trimmed);
-        if (!isNaN(date.getTime())) {
-          return date.toISOString();
-        }
-      }
       return trimmed;
     }
     return value;
   }
 
+  /**
+   * Convierte las celdas de fecha del libro en texto con el formato de fecha del tipo (dateFormat)
+   * Una celda es fecha por su formato de celda, no por el nombre del encabezado; se lee con el sistema
+   * de fechas del libro (1900 o 1904) y sin depender de la zona horaria del servidor (ver utils/dates)
+   * Las celdas con solo hora (sin día) quedan como HH:MM:SS
+   * Con dateFormat 'excel' no se convierte nada: se publica el texto con el formato de la celda en Excel
+   * @returns {number} Cantidad de celdas convertidas
+   */
+  typeDateCells(workbook, fileTypeDef) {
+    if (fileTypeDef.dateFormat === 'excel') return 0;
+
+    const date1904 = usesDate1904(workbook);
+    let converted = 0;
+
+    for (const sheetName of workbook.SheetNames) {
+      const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet) continue;
+
+      for (const address of Object.keys(worksheet).filter(key => key[0] !== '!')) {
+        const cell = worksheet[address];
+        if (!isDateCell(cell)) continue;
+
+        const wallTime = excelSerialToWallTime(cell.v, date1904);
+        if (wallTime === null) continue;
+
+        const text = cell.v < 1
+          ? formatWallTime(wallTime, 'HH:MM:SS')
+          : formatWallTime(wallTime, fileTypeDef.dateFormat, config.dates.timeZone);
+        worksheet[address] = { t: 's', v: text, w: text };
+        converted++;
+      }
+    }
+
+    if (converted > 0) {
+      logOperations.excel.info(`${converted} celda(s) de fecha convertidas a '${fileTypeDef.dateFormat}' (${date1904 ? 'sistema 1904' : 'sistema 1900'}, ${config.dates.timeZone})`);
+    }
+    return converted;
+  }
+
+  /**
+   * Lee una hoja como array de filas (header: 1) junto con el número de fila de Excel de cada una
+   * Las filas vacías se descartan, sin correr la numeración (como hace blankrows: false)
+   * @param {object} worksheet - Hoja de XLSX
+   * @param {object} options - Opciones extra de sheet_to_json (ej: { raw: false })
+   * @returns {{rows: Array<Array>, rowNumbers: Array<number>}}
+   */
+  readSheetRows(worksheet, options = {}) {
+    const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r : 0;
+    const rows = [];
+    const rowNumbers = [];
+    XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, ...options })
+      .forEach((row, index) => {
+        if (!this.isValidRow(row)) return;
+        rows.push(row);
+        rowNumbers.push(firstRow + index + 1);
+      });
+    return { rows, rowNumbers };
+  }
+
   /**
    * Valida si una fila tiene datos útiles
    */
@@ -879,29 +1331,23 @@ class ExcelService {
     );
   }
 
-  /**
-   * Valida los datos de una fila procesada
-   */
-  validateRowData(rowData, rowNumber, sheetName = 'Unknown') {
-    // Validaciones personalizables según tus necesidades
-    // Por ejemplo, verificar campos obligatorios
-    
-    const requiredFields = []; // Agregar campos obligatorios aquí
-    
-    for (const field of requiredFields) {
-      if (!rowData[field] || rowData[field] === null) {
-        logOperations.excel.warn(`Campo requerido '${field}' faltante en fila ${rowNumber} de hoja ${sheetName}`);
-      }
-    }
-  }
-
   /**
    * Guarda los datos procesados en un archivo JSON
    * @param {object} data - Datos procesados del Excel con estructura { metadata,sheets }
-   * @param {string} fileType - Tipo de archivo: 'home', 'locations', 'sellers', 'destacados', 'variantes', 'unknown'
+   * @param {object|string} fileTypeDef - Definición del registro de tipos (o nombre del tipo)
+   * @param {string|null} sheetName - Hoja procesada, para tipos con una carga por hoja
+   * @param {object} options - { executionId, dryRun, signal, expectedContentHash }: en dry-run no sube nada, devuelve el payload y su destino
+   * Con expectedContentHash (publicación aprobada) se rechaza el contenido que no coincide con el aprobado
+   * Si el contenido (sin processedAt ni el sourceFile de la metadata) es idéntico a la última versión publicada en la misma cuenta/ruta,
+   * no se sube ni se archiva: se devuelve { unchanged: true }
+   * @returns {Promise<{fileName: string, sheetName: string|null, uploaded: boolean, unchanged: boolean, archivePath: string|null, versionId: string|null}>}
    */
-  async saveProcessedData(data, fileType = 'home', sheetName = null) {
+  async saveProcessedData(data, fileTypeDef = 'home', sheetName = null, options = {}) {
     try {
+      if (typeof fileTypeDef === 'string') {
+        fileTypeDef = fileTypeRegistry.get(fileTypeDef) || fileTypeRegistry.fallback;
+      }
+      const fileType = fileTypeDef.type;
       const outputPath = path.resolve(config.files.outputJsonPath);
       const outputDir = path.dirname(outputPath);
 
@@ -920,32 +1366,56 @@ class ExcelService {
         data: data
       };
 
+      // Nombre del archivo de salida según el registro de tipos (y hoja para tipos por hoja)
+      const fileName = fileTypeRegistry.getOutputFileName(fileTypeDef, sheetName);
+
+      // Comparar con la última versión publicada en la misma cuenta/ruta
+      const target = resolvePortalTarget(sourceFileName, fileName);
+      const contentHash = publicationService.computeContentHash(outputData);
+      const unchanged = await this.isSameAsPublished(fileName, target.account, contentHash);
+
+      // Diferencias fila por fila contra la versión publicada
+      const diff = unchanged
+        ? null
+        : await this.buildPublicationDiff(fileTypeDef, data, { fileName, sheetName, account: target.account }, options);
+
+      if (options.dryRun) {
+        logOperations.excel.info(`[DRY-RUN] Se publicaría '${fileName}' en ${target.account} (${target.path})${unchanged ? ' - sin cambios' : ''}`);
+        return {
+          fileName,
+          sheetName,
+          uploaded: false,
+          dryRun: true,
+          unchanged: Boolean(unchanged),
+          diff,
+          contentHash,
+          archivePath: null,
+          target: { account: target.account, environment: target.environment, path: target.path, url: target.url },
+          payload: outputData
+        };
+      }
+
+      // Publicación aprobada: solo se sube exactamente el contenido que se aprobó
+      if (options.expectedContentHash !== undefined && options.expectedContentHash !== contentHash) {
+        throw createError.approvalMismatch(`'${fileName}' cambió desde que se pidió la aprobación`, { fileName, contentHash });
+      }
+
+      if (unchanged) {
+        logOperations.excel.info(`'${fileName}' sin cambios respecto a la versión ${unchanged.id} publicada en ${target.account}, no se sube`);
+        processStatus.emitEvent(options.executionId, 'upload', { fileName, account: target.account, url: target.url, uploaded: false, unchanged: true });
+        return { fileName, sheetName, account: target.account, uploaded: false, unchanged: true, archivePath: null, versionId: unchanged.id };
+      }
+
       // Guardar como JSON
       await fs.writeFile(outputPath, JSON.stringify(outputData, null, 2), 'utf8');
       logOperations.excel.info(`Datos guardados en: ${outputPath}`);
 
-      // Nombre del archivo de salida según el tipo de archivo (y hoja para destacados)
-      let fileName;
-      if (fileType === 'destacados' && sheetName) {
-        fileName = `destacados_${slugify(sheetName)}.json`;
-      } else {
-        const OUTPUT_FILE_NAMES = {
-          home: 'googlesheet.json',
-          locations: 'locations.json',
-          sellers: 'sellers.json',
-          destacados: 'destacados.json',
-          variantes: 'variantes.json',
-          blacklist: 'blacklistSellers.json',
-        };
-        fileName = OUTPUT_FILE_NAMES[fileType] || 'output.json';
-      }
-
       // Subir a VTEX después de guardar exitosamente
+      let uploaded = false;
       try {
-        const { uploadFileToVtexPortal } = require('./uploadOutputToPortalModule');
         logOperations.excel.info(`Subiendo a VTEX como '${fileName}' (tipo: ${fileType}${sheetName ? `, hoja: ${sheetName}` : ''})`);
-        const uploadResult = await uploadFileToVtexPortal(outputPath, fileName);
-        if (uploadResult) {
+        uploaded = await uploadFileToVtexPortal(outputPath, fileName, { signal: options.signal });
+        if (uploaded) {
           logOperations.excel.info('Archivo JSON subido exitosamente a VTEX');
         } else {
           logOperations.excel.error('Error al subir el archivo JSON a VTEX');
@@ -953,61 +1423,182 @@ class ExcelService {
       } catch (uploadErr) {
         logOperations.excel.error('Error inesperado al intentar subir el archivo JSON a VTEX', uploadErr);
       }
+      processStatus.emitEvent(options.executionId, 'upload', { fileName, account: target.account, url: target.url, uploaded, unchanged: false });
 
-      // Subir el JSON a GCP como log para el usuario
+      if (!uploaded) {
+        return { fileName, sheetName, account: target.account, uploaded, unchanged: false, diff, archivePath: null };
+      }
+
+      // Subir el JSON al bucket como log para el usuario
+      let archivePath = null;
       try {
-        const { uploadJsonToGCP, moveFileInGCP } = require('./gcpDownloadService');
-        const { Storage } = require('@google-cloud/storage');
-        const bucketName = config.gcp.bucketName;
-        const destFolder = 'Publicaciones_json_vtex';
-        // Prefijo del nombre según tipo de archivo (y hoja para destacados)
-        let filePrefix = 'googleSheet';
-        if (fileType === 'locations') filePrefix = 'locations';
-        else if (fileType === 'sellers') filePrefix = 'sellers';
-        else if (fileType === 'variantes') filePrefix = 'variantes';
-        else if (fileType === 'blacklist') filePrefix = 'blacklistSellers';
-        else if (fileType === 'destacados') filePrefix = sheetName ? `destacados_${slugify(sheetName)}` : 'destacados';
-        // Usar nombre con fecha/hora para evitar sobrescribir
+        // Prefijo del nombre según el registro de tipos (y hoja para tipos por hoja)
+        const filePrefix = fileTypeRegistry.getArchivePrefix(fileTypeDef, sheetName);
+        // Usar nombre con fecha/hora para evitar sobrescribir (con milisegundos: la versión registrada apunta a esta
+        // copia y dos publicaciones del mismo archivo en el mismo segundo no deben pisarse)
         const now = new Date();
-        const destFileName = `${filePrefix}_${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}_${String(now.getHours()).padStart(2,'0')}${String(now.getMinutes()).padStart(2,'0')}${String(now.getSeconds()).padStart(2,'0')}.json`;
-        await uploadJsonToGCP(bucketName, destFolder, outputPath, destFileName);
-        logOperations.excel.info(`Archivo JSON subido a GCP en Publicaciones_json_vtex/${destFileName}`);
-
-        // Mover el Excel procesado a la carpeta Publicaciones_json_vtex (evita reprocesos)
-        if (this._latestGcpExcelFile) {
-          const srcPath = this._latestGcpExcelFile;
-          const destPath = `Publicaciones_json_vtex/${path.basename(srcPath)}`;
-          await moveFileInGCP(bucketName, srcPath, destPath);
-          logOperations.excel.info(`Archivo Excel procesado movido en GCP de ${srcPath} a ${destPath}`);
-          // Limpiar la referencia para evitar que llamadas posteriores (ej: múltiples hojas destacados) reintenten el movimiento
-          this._latestGcpExcelFile = null;
-
-          // Limpiar la carpeta Archivos_sheets/ en el bucket de GCP
-          try {
-            const storage = new Storage({ keyFilename: path.resolve(__dirname, '../../gcp-service-account.json'), projectId: config.gcp.projectId  });
-            const [files] = await storage.bucket(bucketName).getFiles({ prefix: 'Archivos_sheets/' });
-            await Promise.all(
-              files.map(async file => {
-                if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
-                  await file.delete();
-                  logOperations.excel.info(`Archivo Excel eliminado de Archivos_sheets/: ${file.name}`);
-                }
-              })
-            );
-            logOperations.excel.info('Carpeta Archivos_sheets/ limpiada en GCP.');
-          } catch (cleanErr) {
-            logOperations.excel.error('Error al limpiar la carpeta Archivos_sheets/ en GCP', cleanErr);
-          }
-        }
-      } catch (gcpErr) {
-        logOperations.excel.error('Error al subir el archivo JSON o mover el Excel en GCP (Publicaciones_json_vtex)', gcpErr);
+        const destFileName = `${filePrefix}_${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}_${String(now.getHours()).padStart(2,'0')}${String(now.getMinutes()).padStart(2,'0')}${String(now.getSeconds()).padStart(2,'0')}${String(now.getMilliseconds()).padStart(3,'0')}.json`;
+        archivePath = await uploadFile(PUBLISHED_FOLDER, outputPath, destFileName);
+        logOperations.excel.info(`Archivo JSON subido al bucket en ${archivePath}`);
+      } catch (storageErr) {
+        logOperations.excel.error(`Error al subir el archivo JSON al bucket (${PUBLISHED_FOLDER})`, storageErr);
+      }
+
+      // Registrar la versión publicada (permite rollback a una versión anterior)
+      let versionId = null;
+      try {
+        const content = await fs.readFile(outputPath);
+        const version = await publicationService.recordVersion({
+          fileType,
+          fileName,
+          sheetName,
+          sourceFile: sourceFileName,
+          account: target.account,
+          environment: target.environment,
+          portalPath: target.path,
+          archivePath,
+          checksum: publicationService.computeChecksum(content),
+          contentHash,
+          executionId: options.executionId
+        });
+        versionId = version.id;
+      } catch (versionErr) {
+        logOperations.excel.error(`Error al registrar la versión publicada de '${fileName}'`, versionErr);
       }
 
+      return { fileName, sheetName, account: target.account, uploaded, unchanged: false, diff, archivePath, versionId };
+
     } catch (error) {
+      if (error.type === 'VALIDATION_ERROR' || error.type === 'APPROVAL_MISMATCH') throw error;
       logOperations.excel.error('Error guardando datos procesados', error);
       throw createError.excel('Error al guardar el archivo JSON', { error: error.message });
     }
   }
+
+  /**
+   * Compara la salida con la última versión publicada en la misma cuenta/ruta
+   * Guarda el diff completo de la ejecución y agrega el resumen a su registro en processStatus
+   * @param {object} fileTypeDef - Definición del registro de tipos
+   * @param {object} data - Salida del processor ({ metadata, sheets })
+   * @param {object} publication - { fileName, sheetName, account }
+   * @param {object} options - { executionId, dryRun }
+   * @returns {Promise<object|null>} Resumen { previousVersionId, sheets, totals } o null si no se pudo calcular
+   */
+  async buildPublicationDiff(fileTypeDef, data, publication, options = {}) {
+    const { fileName, sheetName, account } = publication;
+    try {
+      const previous = await publicationService.readLatestPublishedContent(fileName, account);
+      const diff = diffService.diff(
+        fileTypeDef.processor,
+        previous ? previous.content?.data?.sheets : null,
+        data.sheets,
+        sheetName || fileName
+      );
+      const summary = {
+        previousVersionId: previous ? previous.version.id : null,
+        sheets: diff.summary,
+        totals: diff.totals
+      };
+
+      logOperations.excel.info(`Diff de '${fileName}' (${account}): +${diff.totals.added} -${diff.totals.removed} ~${diff.totals.changed}`);
+      await diffService.storeDiff(
+        options.executionId,
+        { fileName, sheetName, account, previousVersionId: summary.previousVersionId, totals: diff.totals, sheets: diff.sheets },
+        { persist: !options.dryRun }
+      );
+      processStatus.attachDiff(options.executionId, fileName, summary);
+      return summary;
+    } catch (error) {
+      logOperations.excel.warn(`No se pudo calcular el diff de '${fileName}' (${account}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Devuelve la última versión publicada si su contenido coincide con el hash dado
+   * Si no se puede leer el historial de versiones se publica igual
+   * @returns {Promise<object|null>}
+   */
+  async isSameAsPublished(fileName, account, contentHash) {
+    try {
+      const latest = await publicationService.getLatestVersion(fileName, account);
+      return latest && latest.contentHash === contentHash ? latest : null;
+    } catch (error) {
+      logOperations.excel.warn(`No se pudo leer la última versión de '${fileName}' (${account}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Guarda el Excel ya publicado en Publicaciones_json_vtex/ (evita reprocesos)
+   * Los archivos de la cola se mueven; los recibidos por API se suben desde la copia local
+   * Solo toca el archivo indicado: el resto de la cola queda en Archivos_sheets/
+   * @param {object} source - { bucketFilePath } o { localPath, fileName }
+   */
+  async archiveSourceExcel(source) {
+    if (!source) return null;
+
+    const fileName = source.fileName || path.basename(source.bucketFilePath || source.localPath);
+    const destPath = `${PUBLISHED_FOLDER}/${fileName}`;
+    if (source.bucketFilePath) {
+      await moveFile(source.bucketFilePath, destPath);
+      logOperations.excel.info(`Archivo Excel procesado movido en el bucket de ${source.bucketFilePath} a ${destPath}`);
+    } else {
+      await uploadFile(PUBLISHED_FOLDER, source.localPath, fileName);
+      logOperations.excel.info(`Archivo Excel recibido por API archivado en ${destPath}`);
+    }
+    return destPath;
+  }
+
+  /**
+   * Mueve un Excel que no se pudo procesar a Errores/ junto con un reporte JSON,
+   * para que el usuario vea por qué se rechazó y pueda subir una versión corregida
+   * Nunca lanza: un fallo aquí solo se registra en el log
+   * @param {object} source - { bucketFilePath } o { localPath, fileName }
+   * @param {Error} error - Error que provocó el rechazo
+   * @param {string|null} executionId - Ejecución en processStatus
+   */
+  async quarantineExcel(source, error, executionId = null) {
+    const origin = source.bucketFilePath || source.localPath;
+    const fileName = source.fileName || path.basename(origin);
+    const report = this.buildErrorReport(fileName, error, executionId);
+
+    try {
+      const destPath = `${ERRORS_FOLDER}/${fileName}`;
+      const reportPath = `${ERRORS_FOLDER}/${fileName}.error.json`;
+
+      if (source.bucketFilePath) {
+        await moveFile(source.bucketFilePath, destPath);
+      } else {
+        await uploadFile(ERRORS_FOLDER, source.localPath, fileName);
+      }
+      await uploadContent(reportPath, JSON.stringify(report, null, 2), 'application/json');
+
+      logOperations.excel.warn(`Archivo Excel en cuarentena: ${origin} → ${destPath} (reporte: ${reportPath})`);
+      return { path: destPath, reportPath, report };
+    } catch (quarantineErr) {
+      logOperations.excel.error(`No se pudo mover ${origin} a ${ERRORS_FOLDER}/`, quarantineErr);
+      return null;
+    }
+  }
+
+  /**
+   * Arma el reporte de error que acompaña a un Excel en cuarentena
+   */
+  buildErrorReport(fileName, error, executionId = null) {
+    const details = error.details || error.response || {};
+    return {
+      sourceFile: fileName,
+      executionId,
+      failedAt: new Date().toISOString(),
+      stage: error.stage || null,
+      errorType: error.type || 'UNKNOWN_ERROR',
+      message: error.message || 'Error desconocido',
+      sheet: details.sheet || null,
+      row: details.row || null,
+      details
+    };
+  }
 }
 
 module.exports = new ExcelService();
\ No newline at end of file
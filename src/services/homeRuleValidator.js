@@ -0,0 +1,180 @@
+/**
+ * Reglas de negocio de las hojas HOME (Cintillos, Landing, skus, ...)
+ * Detecta ventanas con fin anterior al inicio, fechas de ventana ilegibles, SKUs repetidos e imágenes vacías
+ * El nivel de cada regla por hoja viene de src/config/homeRules.json: las bloqueantes impiden publicar
+ * Cada incumplimiento queda también como observación en el reporte de validación
+ */
+
+const { logOperations } = require('../utils/logger');
+const { getWindowBound, parseWindowDate, pairWindowFields } = require('../utils/dates');
+const homeRuleRegistry = require('../config/homeRules');
+
+// Tope de incumplimientos informados (los totales se informan siempre)
+const MAX_VIOLATIONS = 100;
+
+/**
+ * Validador de reglas HOME
+ */
+class HomeRuleValidator {
+  /**
+   * Indica si las reglas se aplican al tipo de archivo
+   */
+  appliesTo(fileTypeDef) {
+    return homeRuleRegistry.appliesTo(fileTypeDef);
+  }
+
+  /**
+   * Aplica las reglas a los registros de cada hoja
+   * Se revisan todas las filas (records), también las que el filtro por ventana deja fuera de la publicación:
+   * una fila vencida con la ventana invertida o una fecha ilegible igual es un error de la planilla
+   * @param {Array<object>} results - Resultados del processor 'sheets' ({ data, records: { hoja: [registros] }, sourceMap })
+   * @returns {{blocking: number, warnings: number, byRule: object, violations: Array<object>, truncated: boolean}}
+   */
+  check(results) {
+    const summary = { blocking: 0, warnings: 0, byRule: {}, violations: [], truncated: false };
+
+    for (const { data, records: allRecords, sourceMap } of results) {
+      for (const [sheetName, records] of Object.entries(allRecords || data || {})) {
+        const levels = homeRuleRegistry.getLevels(sheetName);
+
+        for (const rule of homeRuleRegistry.getRules().filter(name => levels[name] !== 'off')) {
+          const level = levels[rule];
+          for (const finding of this[rule](records, homeRuleRegistry.getOptions(rule))) {
+            sourceMap.addIssue({
+              severity: level === 'blocking' ? 'error' : 'warning',
+              sheet: sheetName,
+              row: finding.row,
+              field: finding.field,
+              value: finding.value,
+              message: finding.message
+            });
+            const { column } = sourceMap.issues[sourceMap.issues.length - 1];
+
+            summary[level === 'blocking' ? 'blocking' : 'warnings']++;
+            summary.byRule[rule] = summary.byRule[rule] || { blocking: 0, warning: 0 };
+            summary.byRule[rule][level]++;
+            if (summary.violations.length < MAX_VIOLATIONS) {
+              summary.violations.push({ rule, level, sheet: sheetName, row: finding.row, column, ...finding });
+            } else {
+              summary.truncated = true;
+            }
+          }
+        }
+      }
+    }
+
+    if (summary.blocking + summary.warnings > 0) {
+      logOperations.excel.warn(`Reglas HOME: ${summary.blocking} bloqueante(s), ${summary.warnings} advertencia(s)`, { byRule: summary.byRule });
+    }
+    return summary;
+  }
+
+  /**
+   * Ventana de publicación con fin anterior al inicio
+   * Cada columna de inicio se compara con su fin (fecha_inicio → fecha_fin) o con la única columna de fin
+   */
+  windowOrder(records) {
+    const findings = [];
+    for (const record of records) {
+      for (const { start: startField, end: endField } of pairWindowFields(this.getFields([record]))) {
+        const start = parseWindowDate(record[startField]);
+        const end = parseWindowDate(record[endField]);
+        if (start !== null && end !== null && end < start) {
+          findings.push({
+            row: record._metadata.sourceRow,
+            field: endField,
+            value: record[endField],
+            message: `La ventana termina antes de empezar: ${endField} ${record[endField]} es anterior a ${startField} ${record[startField]}`
+          });
+        }
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Fecha de inicio/fin que no se puede interpretar (se espera dd/mm/yyyy HH:MM[:SS])
+   */
+  dateFormat(records) {
+    const findings = [];
+    for (const record of records) {
+      for (const field of this.getFields([record]).filter(name => getWindowBound(name))) {
+        const value = record[field];
+        if (value === null || value === undefined || String(value).trim() === '') continue;
+        if (parseWindowDate(value) === null) {
+          findings.push({
+            row: record._metadata.sourceRow,
+            field,
+            value,
+            message: `'${value}' no es una fecha válida en ${field} (se espera dd/mm/yyyy HH:MM)`
+          });
+        }
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * SKU repetido en la hoja (se informa cada repetición, no la primera aparición)
+   * @param {object} options - { field: campo del SKU (por defecto 'sku') }
+   */
+  duplicateSku(records, options) {
+    const field = options.field || 'sku';
+    const firstRows = new Map();
+    const findings = [];
+
+    for (const record of records) {
+      const value = record[field];
+      if (value === null || value === undefined || String(value).trim() === '') continue;
+
+      const key = String(value).trim();
+      if (firstRows.has(key)) {
+        findings.push({
+          row: record._metadata.sourceRow,
+          field,
+          value,
+          message: `SKU ${key} repetido (ya está en la fila ${firstRows.get(key)})`
+        });
+      } else {
+        firstRows.set(key, record._metadata.sourceRow);
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * URL de imagen vacía
+   * @param {object} options - { fieldPattern: regex de los campos de imagen (por defecto ^(img|imagen|image)) }
+   */
+  imageUrl(records, options) {
+    const pattern = new RegExp(options.fieldPattern || '^(img|imagen|image)', 'i');
+    const imageFields = this.getFields(records).filter(field => pattern.test(field));
+    const findings = [];
+
+    for (const record of records) {
+      for (const field of imageFields) {
+        const value = record[field];
+        if (value === null || value === undefined || String(value).trim() === '') {
+          findings.push({ row: record._metadata.sourceRow, field, value: null, message: `La imagen (${field}) está vacía` });
+        }
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Campos de datos de los registros (sin _metadata)
+   */
+  getFields(records) {
+    const fields = new Set();
+    for (const record of records) {
+      Object.keys(record).filter(key => key !== '_metadata').forEach(key => fields.add(key));
+    }
+    return [...fields];
+  }
+}
+
+// Crear instancia singleton
+const homeRuleValidator = new HomeRuleValidator();
+
+module.exports = homeRuleValidator;
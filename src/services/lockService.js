@@ -0,0 +1,167 @@
+/**
+ * Lock distribuido entre instancias del servicio
+ * Un lease (archivo JSON en el backend de almacenamiento) con dueño y vencimiento evita que dos réplicas
+ * (o una réplica y un desarrollador en local) procesen la misma cola de Archivos_sheets/ a la vez
+ */
+
+const os = require('os');
+const { config } = require('../config/env');
+const { logOperations } = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+const LOCKS_FOLDER = 'Locks';
+// Lock compartido por todo lo que publica: cron, force-update, subidas por API y rollbacks
+const PIPELINE_LOCK = 'pipeline';
+
+/**
+ * Lease adquirido: se renueva solo mientras se mantiene y se libera con release()
+ */
+class Lease {
+  constructor(service, name, record, generation) {
+    this.service = service;
+    this.name = name;
+    this.record = record;
+    this.generation = generation;
+    this.released = false;
+
+    // Renovar antes de que venza para ejecuciones largas
+    const renewMs = Math.max(1000, Math.floor(service.ttlMs / 3));
+    this.renewTimer = setInterval(() => this.renew(), renewMs);
+    this.renewTimer.unref();
+  }
+
+  /**
+   * Extiende el vencimiento del lease si sigue siendo nuestro
+   */
+  async renew() {
+    if (this.released) return;
+    try {
+      const record = { ...this.record, expiresAt: new Date(Date.now() + this.service.ttlMs).toISOString() };
+      const storage = getStorage();
+      if (await storage.replaceIfGeneration(this.service.getPath(this.name), JSON.stringify(record, null, 2), this.generation)) {
+        const current = await storage.readVersioned(this.service.getPath(this.name));
+        this.record = record;
+        this.generation = current ? current.generation : this.generation;
+      } else {
+        logOperations.cron.error(`Lock '${this.name}': el lease fue tomado por otra instancia`);
+        this.stopRenewing();
+      }
+    } catch (error) {
+      logOperations.cron.error(`Lock '${this.name}': error renovando el lease`, error);
+    }
+  }
+
+  /**
+   * Libera el lease (solo si sigue siendo nuestro)
+   */
+  async release() {
+    if (this.released) return;
+    this.stopRenewing();
+    this.released = true;
+    try {
+      const released = await getStorage().deleteIfGeneration(this.service.getPath(this.name), this.generation);
+      if (released) {
+        logOperations.cron.info(`Lock '${this.name}' liberado`);
+      } else {
+        logOperations.cron.warn(`Lock '${this.name}': el lease ya no era nuestro al liberarlo`);
+      }
+    } catch (error) {
+      logOperations.cron.error(`Lock '${this.name}': error liberando el lease`, error);
+    }
+  }
+
+  stopRenewing() {
+    clearInterval(this.renewTimer);
+  }
+}
+
+/**
+ * Servicio de locks entre instancias
+ */
+class LockService {
+  constructor(lockConfig = config.lock) {
+    this.enabled = lockConfig.enabled;
+    this.ttlMs = lockConfig.ttlSeconds * 1000;
+    this.owner = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  getPath(name) {
+    return `${LOCKS_FOLDER}/${name}.json`;
+  }
+
+  /**
+   * Intenta adquirir el lock
+   * Si el lease existente venció (la instancia dueña murió sin liberarlo) se reemplaza
+   * @param {string} name - Nombre del lock (ej: 'pipeline')
+   * @param {object} details - Datos informativos del lease (ej: { purpose: 'cron' })
+   * @returns {Promise<{lease: Lease|null, holder: object|null}>} lease adquirido, o quién lo tiene
+   */
+  async acquire(name, details = {}) {
+    if (!this.enabled) {
+      return { lease: new NoopLease(), holder: null };
+    }
+
+    const storage = getStorage();
+    const lockPath = this.getPath(name);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const now = Date.now();
+      const record = {
+        owner: this.owner,
+        ...details,
+        acquiredAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString()
+      };
+
+      if (await storage.createIfAbsent(lockPath, JSON.stringify(record, null, 2))) {
+        const current = await storage.readVersioned(lockPath);
+        logOperations.cron.info(`Lock '${name}' adquirido por ${this.owner}`);
+        return { lease: new Lease(this, name, record, current ? current.generation : null), holder: null };
+      }
+
+      const existing = await storage.readVersioned(lockPath);
+      if (!existing) continue; // Se liberó entre medio: reintentar
+
+      const holder = this.parseRecord(existing.content);
+      if (holder && new Date(holder.expiresAt).getTime() > now) {
+        return { lease: null, holder };
+      }
+
+      // Lease vencido o ilegible: borrarlo solo si nadie lo tomó mientras tanto
+      logOperations.cron.warn(`Lock '${name}' vencido (dueño: ${holder ? holder.owner : 'desconocido'}), se reemplaza`);
+      await storage.deleteIfGeneration(lockPath, existing.generation);
+    }
+
+    const existing = await storage.readVersioned(lockPath);
+    return { lease: null, holder: existing ? this.parseRecord(existing.content) : null };
+  }
+
+  /**
+   * Adquiere el lock del pipeline de publicación
+   * @param {string} purpose - Quién lo pide ('cron', 'manual', 'api', 'rollback')
+   */
+  async acquirePipeline(purpose, details = {}) {
+    return this.acquire(PIPELINE_LOCK, { purpose, ...details });
+  }
+
+  parseRecord(content) {
+    try {
+      return JSON.parse(content.toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Lease usado cuando el lock está deshabilitado (una sola instancia)
+ */
+class NoopLease {
+  async renew() {}
+  async release() {}
+}
+
+// Crear instancia singleton
+const lockService = new LockService();
+
+module.exports = lockService;
@@ -0,0 +1,403 @@
+/**
+ * Pipeline de publicación compartido por el cron, /api/force-update y /api/uploads
+ * Procesa un Excel, decide el destino según el registro de tipos (solo portal o también dataentities),
+ * registra el resultado de la ejecución en processStatus y notifica los errores
+ * En los ambientes que requieren aprobación solo valida y deja la publicación pendiente (approvalService)
+ */
+
+const { config } = require('../config/env');
+const { logOperations } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const excelService = require('./excelService');
+const vtexService = require('./vtexService');
+const vtexHttpClient = require('./vtexHttpClient');
+const processStatus = require('./processStatus');
+const lockService = require('./lockService');
+const approvalService = require('./approvalService');
+const publicationService = require('./publicationService');
+const republishService = require('./republishService');
+const fileTypeRegistry = require('../config/fileTypes');
+
+/**
+ * Servicio del pipeline de publicación
+ */
+class PipelineService {
+  /**
+   * Procesa y publica un Excel como una ejecución
+   * @param {object|null} pendingFile - De la cola ({ bucketFilePath, fileName }), subido por API ({ localPath, fileName })
+   *   o null para tomar el más antiguo pendiente en Archivos_sheets/
+   * @param {object} options - { trigger, executionId, dryRun, approval }. Sin executionId se inicia una ejecución nueva
+   *   approval: { id, expectedContentHashes } cuando se publica una aprobación (no vuelve a pedir aprobación,
+   *   salvo que el contenido generado ya no sea el aprobado: ver publishApproved)
+   * Las republicaciones por inicio/fin de ventana (trigger 'republish') no piden aprobación: el Excel archivado
+   * ya se aprobó completo, con sus ventanas, y la republicación solo prende o apaga sus filas
+   * @returns {Promise<{executionId: string, sourceFile: string, recordsProcessed: number, dryRun: boolean,
+   *   publications: Array, dataEntities: object|null, result: object, validation: object|null, rules: object|null,
+   *   approval?: object}>}
+   * @throws El error del pipeline, ya registrado en la ejecución (y notificado si no fue una cancelación)
+   */
+  async run(pendingFile = null, options = {}) {
+    const trigger = options.trigger || 'auto';
+    const executionId = options.executionId ||
+      processStatus.startProcess(trigger, { sourceFile: pendingFile ? pendingFile.fileName : null });
+
+    try {
+      if (!pendingFile) {
+        // El más antiguo de la cola: su nombre decide si requiere aprobación
+        [pendingFile = null] = await excelService.listPendingFiles();
+      }
+
+      const dryRun = options.dryRun !== undefined ? Boolean(options.dryRun) : config.pipeline.dryRun;
+      if (!dryRun && !options.approval && trigger !== 'republish' && pendingFile && approvalService.requiresApproval(pendingFile.fileName)) {
+        return await this.requestApproval(pendingFile, { executionId, trigger });
+      }
+
+      // Con el circuit breaker abierto no se intenta publicar (el Excel queda pendiente)
+      if (!dryRun && vtexHttpClient.isOpen()) {
+        const { reopensAt } = vtexHttpClient.getStatus();
+        throw createError.vtex(`Publicación pausada por fallos repetidos de VTEX hasta ${reopensAt}`, 503, vtexHttpClient.getStatus());
+      }
+
+      logOperations.cron.start();
+
+      // 1. Leer, procesar y publicar en el portal
+      logOperations.cron.info(`Iniciando lectura de archivo Excel${pendingFile ? `: ${pendingFile.fileName}` : ''} (${trigger})`);
+      let processed;
+      try {
+        processed = await excelService.processExcel(pendingFile, {
+          executionId,
+          dryRun,
+          expectedContentHashes: options.approval ? options.approval.expectedContentHashes : undefined
+        });
+      } catch (error) {
+        // El contenido aprobado ya no es el que se genera (ej: pasó un inicio/fin de ventana con HOME_WINDOW_FILTER):
+        // en lugar de publicarlo o descartarlo se pide aprobar el contenido actual
+        if (error.type !== 'APPROVAL_MISMATCH') throw error;
+        logOperations.cron.warn(`${error.message}: se pide una nueva aprobación`);
+        return await this.requestApproval(pendingFile, { executionId, trigger, supersedes: options.approval.id });
+      }
+      const { data: jsonData, publications, validation, rules, windowFilter, archivePath } = processed;
+
+      // Validar datos
+      if (!jsonData || !jsonData.metadata || !jsonData.metadata.totalRecords) {
+        throw new Error('No se obtuvieron datos del archivo Excel');
+      }
+      const sourceFile = jsonData.metadata.sourceFile || '';
+      const recordsProcessed = jsonData.metadata.totalRecords;
+      logOperations.cron.info(`Excel procesado: ${recordsProcessed} registros encontrados`);
+
+      // 2. Enviar a dataentities si corresponde
+      const { result, dataEntities } = await this.route(jsonData, publications, { executionId, dryRun });
+      if (rules) {
+        // Las advertencias de las reglas HOME quedan en el resultado de la ejecución (las bloqueantes ya cortaron el proceso)
+        result.rules = { warnings: rules.warnings, byRule: rules.byRule };
+      }
+      if (windowFilter) {
+        // Filtro por ventana: se republica en el próximo inicio o fin para prender o apagar los banners a tiempo
+        const republish = dryRun
+          ? null
+          : await republishService.update({ sourceFile, excelPath: archivePath, nextBoundary: windowFilter.nextBoundary, executionId });
+        result.windowFilter = { ...windowFilter, republishAt: republish ? republish.at : null };
+      }
+
+      processStatus.completeProcess(recordsProcessed, null, result);
+
+      return { executionId, sourceFile, recordsProcessed, dryRun, publications, dataEntities, result, validation, rules };
+
+    } catch (error) {
+      // Completar proceso con error (queda como 'cancelled' si fue una cancelación)
+      processStatus.completeProcess(0, error);
+
+      if (error.type === 'CANCELLATION') {
+        logOperations.cron.warn(`Sincronización cancelada: ${error.message}`);
+      } else {
+        logOperations.cron.error(`❌ Error en sincronización (${trigger})`, error);
+        await this.notifyError(error, { executionId, trigger });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Valida el Excel sin publicar y lo deja pendiente de aprobación (con los diffs y el hash de cada JSON)
+   * Si el Excel no es válido va a Errores/ como en una ejecución normal
+   * supersedes: aprobación cuyo contenido quedó desactualizado (la nueva la reemplaza)
+   */
+  async requestApproval(pendingFile, { executionId, trigger, supersedes = null }) {
+    logOperations.cron.start();
+    logOperations.cron.info(`${pendingFile.fileName} requiere aprobación: se valida sin publicar (${trigger})`);
+
+    let processed;
+    try {
+      processed = await excelService.processExcel(pendingFile, { executionId, dryRun: true });
+    } catch (error) {
+      // En dry-run processExcel no mueve el Excel: se pone en cuarentena aquí
+      if (error.type !== 'CANCELLATION') {
+        processStatus.startStage(executionId, 'quarantine');
+        await excelService.quarantineExcel(pendingFile, error, executionId);
+        processStatus.completeStage(executionId);
+      }
+      throw error;
+    }
+
+    const { data: jsonData, publications, validation, rules } = processed;
+    if (!jsonData || !jsonData.metadata || !jsonData.metadata.totalRecords) {
+      throw new Error('No se obtuvieron datos del archivo Excel');
+    }
+    const sourceFile = jsonData.metadata.sourceFile || pendingFile.fileName;
+    const recordsProcessed = jsonData.metadata.totalRecords;
+    const publicationSummaries = publications.map(({ payload, ...publication }) => publication);
+    const outcome = { executionId, sourceFile, recordsProcessed, dryRun: false, publications: publicationSummaries, dataEntities: null, validation, rules };
+
+    // Sin cambios respecto a lo publicado: no hay nada que aprobar
+    if (publications.length > 0 && publications.every(publication => publication.unchanged)) {
+      processStatus.startStage(executionId, 'archive');
+      const archivePath = await excelService.archiveSourceExcel(pendingFile);
+      processStatus.completeStage(executionId, { archivePath });
+      const result = { success: true, result: 'no_changes', message: 'Sin cambios respecto a la versión publicada', publications: publicationSummaries };
+      processStatus.completeProcess(recordsProcessed, null, result);
+      return { ...outcome, result };
+    }
+
+    processStatus.throwIfCancelled(executionId);
+    processStatus.startStage(executionId, 'approval');
+    const approval = await approvalService.create(pendingFile, { executionId, publications: publicationSummaries, supersedes });
+    processStatus.completeStage(executionId, { approvalId: approval.id, expiresAt: approval.expiresAt });
+
+    const result = {
+      success: true,
+      result: 'pending_approval',
+      message: supersedes
+        ? `El contenido cambió desde la aprobación ${supersedes}: nueva aprobación pendiente (${approval.id})`
+        : `Publicación pendiente de aprobación (${approval.id})`,
+      approvalId: approval.id,
+      publications: publicationSummaries
+    };
+    processStatus.completeProcess(recordsProcessed, null, result);
+    return { ...outcome, result, approval };
+  }
+
+  /**
+   * Publica una aprobación pendiente: vuelve a procesar el Excel aprobado y sube exactamente el contenido aprobado
+   * (en una promoción, sube la copia archivada de la versión aprobada al ambiente destino)
+   * Corre como una ejecución propia ('approval'), con el lock del pipeline, enlazada a la ejecución que la pidió
+   * Si falla y el Excel sigue en Aprobaciones/ (cancelación, VTEX caído) la aprobación sigue pendiente
+   * Si el contenido generado ya no es el aprobado (ej: pasó un inicio/fin de ventana), no se publica: la aprobación
+   * queda 'superseded' y se pide una nueva con el contenido actual
+   * @param {string} id - Aprobación
+   * @param {string} approver - Aprobador autenticado
+   */
+  async publishApproved(id, approver) {
+    return this.runExclusive(async () => {
+      const approval = await approvalService.getPending(id);
+      if (vtexHttpClient.isOpen()) {
+        const { reopensAt } = vtexHttpClient.getStatus();
+        throw createError.vtex(`Publicación pausada por fallos repetidos de VTEX hasta ${reopensAt}`, 503, vtexHttpClient.getStatus());
+      }
+
+      const executionId = processStatus.startProcess('approval', {
+        sourceFile: approval.sourceFile,
+        linkedTo: { relation: 'approval', approvalId: approval.id, executionId: approval.executionId }
+      });
+      logOperations.cron.info(`Aprobación ${approval.id} aprobada por ${approver}, publicando ${approval.sourceFile}`);
+
+      const expectedContentHashes = Object.fromEntries(approval.publications.map(publication => [publication.fileName, publication.contentHash]));
+      try {
+        const outcome = approval.promotedFrom
+          ? await this.publishApprovedPromotion(approval, executionId)
+          : await this.run(
+            { bucketFilePath: approval.excelPath, fileName: approval.sourceFile },
+            { trigger: 'approval', executionId, dryRun: false, approval: { id: approval.id, expectedContentHashes } }
+          );
+        if (outcome.approval) {
+          const superseded = await approvalService.decide(approval, 'superseded', {
+            decidedBy: approver,
+            reason: outcome.result.message,
+            publishExecutionId: executionId,
+            supersededBy: outcome.approval.id
+          });
+          return { ...outcome, approval: superseded, pendingApproval: outcome.approval };
+        }
+        const decided = await approvalService.decide(approval, 'approved', { decidedBy: approver, publishExecutionId: executionId });
+        return { ...outcome, approval: decided };
+      } catch (error) {
+        if (error.type === 'CANCELLATION' || await approvalService.hasExcel(approval)) {
+          logOperations.cron.warn(`La aprobación ${approval.id} sigue pendiente: no se pudo publicar (${error.message})`);
+        } else {
+          await approvalService.decide(approval, 'failed', { decidedBy: approver, reason: error.message, publishExecutionId: executionId });
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Publica una promoción aprobada en la ejecución ya iniciada (la completa también si falla)
+   */
+  async publishApprovedPromotion(approval, executionId) {
+    try {
+      const promotion = await publicationService.resolvePromotion(approval.promotedFrom);
+      const { version, result } = await publicationService.publishPromotion(promotion, { executionId, approval });
+      return {
+        executionId,
+        sourceFile: approval.sourceFile,
+        recordsProcessed: 0,
+        dryRun: false,
+        publications: [version],
+        dataEntities: null,
+        result,
+        validation: null,
+        rules: null
+      };
+    } catch (error) {
+      processStatus.completeProcess(0, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechaza una aprobación pendiente (con el lock del pipeline para no cruzarse con su publicación)
+   */
+  async rejectApproval(id, approver, reason = null) {
+    return this.runExclusive(() => approvalService.reject(id, approver, reason));
+  }
+
+  /**
+   * Ejecuta una operación sobre aprobaciones sin otro proceso en curso y con el lock del pipeline
+   */
+  async runExclusive(work) {
+    if (!processStatus.canStartNewProcess()) {
+      throw createError.conflict('Ya hay un proceso en ejecución');
+    }
+    const { lease, holder } = await lockService.acquirePipeline('approval');
+    if (!lease) {
+      throw createError.conflict(`Otra instancia está procesando${holder ? ` (${holder.owner})` : ''}`);
+    }
+    try {
+      return await work();
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Decide el destino de la carga y arma el resultado de la ejecución
+   * @returns {Promise<{result: object, dataEntities: object|null}>}
+   */
+  async route(jsonData, publications, { executionId, dryRun }) {
+    // El payload de dry-run se devuelve al que llama, no se guarda en el historial
+    const publicationSummaries = publications.map(({ payload, ...publication }) => publication);
+
+    // En dry-run no se envía nada a VTEX (ni portal ni dataentities)
+    if (dryRun) {
+      logOperations.cron.info(`[DRY-RUN] ${publications.length} publicación(es) generada(s), no se envía nada a VTEX`);
+      return {
+        result: { success: true, dryRun: true, result: 'dry_run', message: 'Dry-run: no se publicó nada', publications: publicationSummaries },
+        dataEntities: null
+      };
+    }
+
+    // Sin cambios respecto a lo publicado: no se sube nada ni se reenvía a dataentities
+    if (publications.length > 0 && publications.every(publication => publication.unchanged)) {
+      logOperations.cron.info(`${jsonData.metadata.sourceFile} sin cambios respecto a lo publicado, no se envía nada a VTEX`);
+      return {
+        result: { success: true, result: 'no_changes', message: 'Sin cambios respecto a la versión publicada', publications: publicationSummaries },
+        dataEntities: null
+      };
+    }
+
+    // Determinar si se debe enviar a dataentities o solo al portal (según el registro de tipos)
+    const sourceFile = jsonData.metadata.sourceFile || '';
+    const fileTypeDef = fileTypeRegistry.resolveOrFallback(sourceFile);
+    const environment = fileTypeRegistry.detectEnvironment(sourceFile);
+
+    if (!fileTypeRegistry.sendsToDataEntities(fileTypeDef, environment)) {
+      logOperations.cron.info(`Archivo ${fileTypeDef.type}${environment ? ` (${environment})` : ''} detectado, solo se sube al portal VTEX. No se envía a dataentities.`);
+      return {
+        result: { success: true, result: 'published', message: 'Solo subida a portal VTEX', publications: publicationSummaries },
+        dataEntities: null
+      };
+    }
+
+    // El portal ya quedó publicado y el Excel archivado: esta etapa no se puede cancelar (processStatus.disableCancellation)
+    logOperations.cron.info('Enviando datos a VTEX (dataentities)...');
+    processStatus.startStage(executionId, 'publish', { target: 'dataentities' });
+    const vtexResponse = await vtexService.sendData(jsonData, { fileTypeDef, environment });
+    const counts = {
+      entity: vtexResponse.entity,
+      successfulRecords: vtexResponse.successfulRecords,
+      failedRecords: vtexResponse.failedRecords,
+      deletedRecords: vtexResponse.deletedRecords,
+      failedDeletes: vtexResponse.failedDeletes
+    };
+    if (!vtexResponse.success) {
+      // El detalle por documento queda en el error de la ejecución
+      throw createError.vtex(
+        `Master Data (${vtexResponse.entity}): ${vtexResponse.failedRecords} documento(s) con error, ${vtexResponse.failedDeletes} eliminación(es) fallida(s)${vtexResponse.deleteError ? ` (${vtexResponse.deleteError})` : ''}`,
+        502,
+        { dataEntities: vtexResponse }
+      );
+    }
+    processStatus.completeStage(executionId, counts);
+    logOperations.cron.info(`Documentos publicados en dataentities: ${vtexResponse.successfulRecords}, eliminados: ${vtexResponse.deletedRecords}`);
+
+    return {
+      result: {
+        success: true,
+        result: 'published',
+        message: 'Publicado en el portal VTEX y en dataentities',
+        publications: publicationSummaries,
+        dataEntities: vtexResponse
+      },
+      dataEntities: vtexResponse
+    };
+  }
+
+  /**
+   * Notifica errores (placeholder para webhook, email, etc.)
+   * @param {Error} error - Error del pipeline
+   * @param {object} context - { executionId, trigger }
+   */
+  async notifyError(error, context = {}) {
+    try {
+      // Aquí se pueden implementar notificaciones:
+      // - Webhook
+      // - Email
+      // - Slack
+      // - Discord
+      // etc.
+
+      const notificationUrl = process.env.ERROR_NOTIFICATION_WEBHOOK;
+      if (notificationUrl) {
+        logOperations.cron.info('Enviando notificación de error...');
+
+        // Ejemplo de notificación por webhook
+        const payload = {
+          timestamp: new Date().toISOString(),
+          service: 'excel-vtex-service',
+          executionId: context.executionId || null,
+          trigger: context.trigger || null,
+          error: {
+            message: error.message,
+            type: error.type || 'UNKNOWN',
+            stack: error.stack
+          },
+          environment: config.server.nodeEnv
+        };
+
+        // Implementar llamada HTTP aquí si es necesario
+        // await axios.post(notificationUrl, payload);
+
+        logOperations.cron.info('Notificación de error enviada');
+      }
+
+    } catch (notifyError) {
+      logOperations.cron.error('Error enviando notificación', notifyError);
+    }
+  }
+}
+
+// Crear instancia singleton
+const pipelineService = new PipelineService();
+
+module.exports = pipelineService;
@@ -3,42 +3,109 @@
  * Mantiene un registro del estado actual y el historial de ejecuciones
  */
 
+const EventEmitter = require('events');
 const { logOperations } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const { config } = require('../config/env');
+const JsonLinesStore = require('../utils/jsonLinesStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Servicio para manejar el estado de procesos
+ * Emite 'execution-event' ({ executionId, type, data, timestamp }) con cada cambio de una ejecución:
+ *   started, stage, records, upload, cancelling, completed, failed, cancelled
  */
-class ProcessStatusService {
-  constructor() {
+class ProcessStatusService extends EventEmitter {
+  constructor(historyConfig = config.history) {
+    super();
+    // Cada cliente SSE agrega un listener
+    this.setMaxListeners(0);
+
     this.currentStatus = {
       isRunning: false,
       lastExecution: null,
       executionHistory: []
     };
-    
-    this.maxHistorySize = 50; // Mantener últimas 50 ejecuciones
+
+    // AbortController de cada ejecución en curso (cancelación real del pipeline)
+    this.abortControllers = new Map();
+
+    // El historial se persiste en disco y se conserva por antigüedad (no por cantidad)
+    this.historyStore = new JsonLinesStore(historyConfig.filePath);
+    this.retentionMs = historyConfig.retentionDays * DAY_MS;
+    this.loadHistory();
+  }
+
+  /**
+   * Carga el historial persistido y descarta las ejecuciones fuera del período de retención
+   */
+  loadHistory() {
+    try {
+      const { records, invalidLines } = this.historyStore.readAll();
+      if (invalidLines > 0) {
+        logOperations.cron.warn(`Historial: ${invalidLines} línea(s) inválida(s) descartada(s) en ${this.historyStore.filePath}`);
+      }
+
+      this.currentStatus.executionHistory = records;
+      const pruned = this.pruneHistory();
+      if (pruned > 0 || invalidLines > 0) {
+        this.historyStore.rewrite(this.currentStatus.executionHistory);
+      }
+
+      const history = this.currentStatus.executionHistory;
+      this.currentStatus.lastExecution = history.length > 0 ? history[history.length - 1] : null;
+      logOperations.cron.info(`Historial cargado: ${history.length} ejecuciones`);
+    } catch (error) {
+      logOperations.cron.error('Error cargando el historial de ejecuciones', error);
+      this.currentStatus.executionHistory = [];
+    }
+  }
+
+  /**
+   * Quita del historial en memoria las ejecuciones más antiguas que el período de retención
+   * @returns {number} Cantidad de ejecuciones eliminadas
+   */
+  pruneHistory() {
+    const cutoff = Date.now() - this.retentionMs;
+    const before = this.currentStatus.executionHistory.length;
+    this.currentStatus.executionHistory = this.currentStatus.executionHistory
+      .filter(ex => new Date(ex.startedAt).getTime() >= cutoff);
+    return before - this.currentStatus.executionHistory.length;
   }
 
   /**
    * Inicia un nuevo proceso
+   * @param {string} trigger - Origen de la ejecución
+   * @param {object} details - Datos adicionales (ej: { sourceFile })
    */
-  startProcess(trigger = 'auto') {
+  startProcess(trigger = 'auto', details = {}) {
     const execution = {
       id: this.generateExecutionId(),
       trigger, // 'auto', 'manual', 'api'
+      sourceFile: details.sourceFile || null,
+      // Publicación de origen para rollbacks y promociones: { relation, versionId, executionId }
+      linkedTo: details.linkedTo || null,
       startedAt: new Date().toISOString(),
       endedAt: null,
       status: 'running',
       recordsProcessed: 0,
       error: null,
       vtexResponse: null,
+      result: null,
+      diff: null,
+      stages: [],
+      // Deja de ser cancelable al archivar el Excel (ver disableCancellation)
+      cancellable: true,
       duration: null
     };
 
     this.currentStatus.isRunning = true;
     this.currentStatus.lastExecution = execution;
+    this.abortControllers.set(execution.id, new AbortController());
 
-    logOperations.cron.info(`Proceso iniciado: ${execution.id} (${trigger})`);
+    logOperations.cron.info(`Proceso iniciado: ${execution.id} (${trigger})${execution.sourceFile ? ` - ${execution.sourceFile}` : ''}`);
+    this.emitEvent(execution.id, 'started', { trigger, sourceFile: execution.sourceFile, startedAt: execution.startedAt });
 
     return execution.id;
   }
@@ -56,11 +123,17 @@ class ProcessStatusService {
     const endTime = new Date();
     const startTime = new Date(execution.startedAt);
 
+    // Una ejecución que terminó por su señal de cancelación queda como 'cancelled'
+    const status = error ? (error.type === 'CANCELLATION' ? 'cancelled' : 'failed') : 'completed';
+    this.finishRunningStage(execution, status, error);
+    this.abortControllers.delete(execution.id);
     execution.endedAt = endTime.toISOString();
-    execution.status = error ? 'failed' : 'completed';
+    execution.status = status;
     execution.recordsProcessed = recordsProcessed;
     execution.error = error ? this.serializeError(error) : null;
     execution.vtexResponse = vtexResponse;
+    // Resultado informado por el pipeline (ej: 'no_changes' cuando no hubo nada que publicar)
+    execution.result = error ? null : (vtexResponse?.result || null);
     execution.duration = endTime.getTime() - startTime.getTime(); // milisegundos
 
     this.currentStatus.isRunning = false;
@@ -68,39 +141,171 @@ class ProcessStatusService {
     // Agregar al historial
     this.addToHistory(execution);
 
-    if (error) {
+    if (status === 'cancelled') {
+      logOperations.cron.warn(`Proceso ${execution.id} cancelado: ${error.message}`);
+    } else if (error) {
       logOperations.cron.error(`Proceso ${execution.id} falló`, error);
     } else {
       logOperations.cron.complete(recordsProcessed);
     }
+    this.emitEvent(execution.id, execution.status, {
+      recordsProcessed,
+      result: execution.result,
+      error: execution.error ? { message: execution.error.message, type: execution.error.type } : null,
+      duration: execution.duration
+    });
   }
 
   /**
-   * Cancela un proceso en ejecución
+   * Solicita la cancelación de la ejecución en curso
+   * Aborta su señal: el pipeline corta la descarga/subida en curso, revierte lo publicado
+   * y completa la ejecución como 'cancelled'
+   * @param {string} reason - Motivo de la cancelación
+   * @param {string|null} executionId - Si se indica, solo se cancela si es la ejecución en curso
+   * @returns {boolean} true si se solicitó la cancelación
    */
-  cancelProcess(reason = 'Manual cancellation') {
+  cancelProcess(reason = 'Manual cancellation', executionId = null) {
     if (!this.currentStatus.isRunning) {
       return false;
     }
 
     const execution = this.currentStatus.lastExecution;
-    const endTime = new Date();
-    const startTime = new Date(execution.startedAt);
-
-    execution.endedAt = endTime.toISOString();
-    execution.status = 'cancelled';
-    execution.error = { message: reason, type: 'CANCELLATION' };
-    execution.duration = endTime.getTime() - startTime.getTime();
+    if (executionId && execution.id !== executionId) {
+      return false;
+    }
 
-    this.currentStatus.isRunning = false;
+    const controller = this.abortControllers.get(execution.id);
+    if (!controller || controller.signal.aborted || !execution.cancellable) {
+      return false;
+    }
 
-    this.addToHistory(execution);
+    execution.cancelRequestedAt = new Date().toISOString();
+    execution.cancelReason = reason;
+    controller.abort(createError.cancelled(`Ejecución cancelada: ${reason}`));
 
-    logOperations.cron.warn(`Proceso ${execution.id} cancelado: ${reason}`);
+    logOperations.cron.warn(`Cancelación solicitada para el proceso ${execution.id}: ${reason}`);
+    this.emitEvent(execution.id, 'cancelling', { reason });
 
     return true;
   }
 
+  /**
+   * Señal de cancelación de una ejecución en curso
+   * @returns {AbortSignal|null}
+   */
+  getSignal(executionId) {
+    const controller = this.abortControllers.get(executionId);
+    return controller ? controller.signal : null;
+  }
+
+  /**
+   * Marca la ejecución en curso como no cancelable (cancelProcess la rechaza desde entonces)
+   * Se usa al archivar el Excel: lo que sigue (ej: el envío a dataentities) ya no se revierte junto con el portal
+   */
+  disableCancellation(executionId) {
+    const execution = this.currentStatus.lastExecution;
+    if (execution && execution.id === executionId) {
+      execution.cancellable = false;
+    }
+  }
+
+  /**
+   * Lanza el error de cancelación si se pidió cancelar la ejecución
+   */
+  throwIfCancelled(executionId) {
+    const signal = this.getSignal(executionId);
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+  }
+
+  /**
+   * Inicia una etapa de la ejecución (download, detect, validate, transform, publish, archive, cleanup, ...)
+   * Si había otra etapa en curso se da por completada
+   * @param {string} executionId - Ejecución en curso
+   * @param {string} name - Nombre de la etapa
+   * @param {object} details - Datos de la etapa (ej: { target: 'googlesheet.json' }, { sheet: 'Cintillos' })
+   */
+  startStage(executionId, name, details = {}) {
+    const execution = this.getExecution(executionId);
+    if (!execution) return;
+
+    this.finishRunningStage(execution, 'completed');
+    const { target = null, ...rest } = details;
+    execution.stages = execution.stages || [];
+    execution.stages.push({
+      name,
+      target,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      duration: null,
+      error: null,
+      details: rest
+    });
+    this.emitEvent(executionId, 'stage', { name, target, status: 'running', details: rest });
+  }
+
+  /**
+   * Marca como completada la etapa en curso, agregando datos del resultado
+   */
+  completeStage(executionId, details = {}) {
+    const execution = this.getExecution(executionId);
+    if (!execution) return;
+
+    this.finishRunningStage(execution, 'completed', null, details);
+  }
+
+  /**
+   * Marca como fallida (o cancelada, si el error es de cancelación) la etapa en curso
+   */
+  failStage(executionId, error, details = {}) {
+    const execution = this.getExecution(executionId);
+    if (!execution) return;
+
+    this.finishRunningStage(execution, error && error.type === 'CANCELLATION' ? 'cancelled' : 'failed', error, details);
+  }
+
+  /**
+   * Cierra la etapa en curso de una ejecución (si hay una)
+   */
+  finishRunningStage(execution, status, error = null, details = {}) {
+    const stage = (execution.stages || []).find(s => s.status === 'running');
+    if (!stage) return;
+
+    const endTime = new Date();
+    stage.status = status;
+    stage.endedAt = endTime.toISOString();
+    stage.duration = endTime.getTime() - new Date(stage.startedAt).getTime();
+    stage.error = error ? { message: error.message || String(error), type: error.type || 'UNKNOWN_ERROR' } : null;
+    stage.details = { ...stage.details, ...details };
+    this.emitEvent(execution.id, 'stage', { ...stage });
+  }
+
+  /**
+   * Publica un evento de la ejecución para los suscriptores (ej: SSE de /api/executions/:id/events)
+   * @param {string} executionId - Ejecución
+   * @param {string} type - started, stage, records, upload, cancelling, completed, failed, cancelled
+   * @param {object} data - Datos del evento
+   */
+  emitEvent(executionId, type, data = {}) {
+    if (!executionId) return;
+
+    this.emit('execution-event', {
+      executionId,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Indica si el tipo de evento cierra la ejecución
+   */
+  isFinalEvent(type) {
+    return ['completed', 'failed', 'cancelled'].includes(type);
+  }
+
   /**
    * Obtiene el estado actual completo
    */
@@ -111,9 +316,15 @@ class ProcessStatusService {
     // Estadísticas del historial
     const stats = this.calculateStats();
 
+    const lastExecution = this.currentStatus.lastExecution;
+    const runningStage = this.currentStatus.isRunning && lastExecution
+      ? (lastExecution.stages || []).find(s => s.status === 'running') || null
+      : null;
+
     return {
       isRunning: this.currentStatus.isRunning,
-      lastExecution: this.currentStatus.lastExecution,
+      currentStage: runningStage,
+      lastExecution,
       recentHistory,
       stats,
       serverTime: now.toISOString(),
@@ -188,9 +399,15 @@ class ProcessStatusService {
   addToHistory(execution) {
     this.currentStatus.executionHistory.push({ ...execution });
 
-    // Mantener solo las últimas N ejecuciones
-    if (this.currentStatus.executionHistory.length > this.maxHistorySize) {
-      this.currentStatus.executionHistory.shift();
+    try {
+      // Compactar el archivo solo cuando alguna ejecución salió del período de retención
+      if (this.pruneHistory() > 0) {
+        this.historyStore.rewrite(this.currentStatus.executionHistory);
+      } else {
+        this.historyStore.append(execution);
+      }
+    } catch (error) {
+      logOperations.cron.error('Error guardando el historial de ejecuciones', error);
     }
   }
 
@@ -215,10 +432,36 @@ class ProcessStatusService {
       code: error.code || null,
       statusCode: error.statusCode || null,
       stack: error.stack || null,
-      details: error.details || null
+      // VtexError guarda su detalle en `response` (ej: resultados por documento de Master Data)
+      details: error.details || error.response || null
     };
   }
 
+  /**
+   * Busca una ejecución por id (en curso o en el historial)
+   * @returns {object|null}
+   */
+  getExecution(executionId) {
+    const current = this.currentStatus.lastExecution;
+    if (current && current.id === executionId) {
+      return current;
+    }
+    return this.currentStatus.executionHistory.find(ex => ex.id === executionId) || null;
+  }
+
+  /**
+   * Agrega a la ejecución el resumen de diferencias de una publicación
+   * @param {string} executionId - Ejecución en curso
+   * @param {string} fileName - Archivo del portal (ej: 'googlesheet.json')
+   * @param {object} summary - { previousVersionId, sheets: { hoja: {added, removed, changed} }, totals }
+   */
+  attachDiff(executionId, fileName, summary) {
+    const execution = this.getExecution(executionId);
+    if (!execution) return;
+
+    execution.diff = { ...(execution.diff || {}), [fileName]: summary };
+  }
+
   /**
    * Verifica si se puede iniciar un nuevo proceso
    */
@@ -238,6 +481,7 @@ class ProcessStatusService {
    */
   clearHistory() {
     this.currentStatus.executionHistory = [];
+    this.historyStore.rewrite([]);
     logOperations.cron.info('Historial de ejecuciones limpiado');
   }
 
@@ -278,21 +522,30 @@ class ProcessStatusService {
 
   /**
    * Exporta el estado completo para backup/debugging
+   * El historial se lee del archivo persistido
    */
   exportState() {
+    const { records } = this.historyStore.readAll();
     return {
-      currentStatus: { ...this.currentStatus },
+      currentStatus: { ...this.currentStatus, executionHistory: records },
       timestamp: new Date().toISOString(),
-      version: '1.0.0'
+      version: '1.1.0'
     };
   }
 
   /**
    * Importa un estado previamente exportado
+   * Reemplaza el historial persistido (aplicando la retención) y nunca marca un proceso como en curso
    */
   importState(state) {
     if (state && state.currentStatus) {
-      this.currentStatus = { ...state.currentStatus };
+      this.currentStatus = {
+        ...state.currentStatus,
+        isRunning: false,
+        executionHistory: [...(state.currentStatus.executionHistory || [])]
+      };
+      this.pruneHistory();
+      this.historyStore.rewrite(this.currentStatus.executionHistory);
       logOperations.cron.info('Estado importado exitosamente');
       return true;
     }
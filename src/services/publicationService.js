@@ -0,0 +1,464 @@
+/**
+ * Servicio de versiones de publicaciones en el portal VTEX
+ * Registra cada archivo publicado (tipo, cuenta, ruta, copia archivada, checksum, ejecución)
+ * y permite volver a publicar una versión anterior (rollback) o llevar una versión a otro ambiente (promoción)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { logOperations } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const { getStorage } = require('./storage');
+const { downloadFile } = require('./bucketService');
+const { uploadFileToVtexPortal, resolvePortalTarget } = require('./uploadOutputToPortalModule');
+const processStatus = require('./processStatus');
+const lockService = require('./lockService');
+const vtexEnvironments = require('../config/vtexEnvironments');
+
+// Índices de versiones: un JSON por cuenta y archivo del portal
+const VERSIONS_FOLDER = 'Publicaciones_json_vtex/_versiones';
+const TEMP_DIR = path.resolve(__dirname, '../../data/temp/rollback');
+
+/**
+ * Servicio de versiones y rollback de publicaciones
+ */
+class PublicationService {
+  /**
+   * Calcula el checksum (sha256) del contenido publicado
+   */
+  computeChecksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Calcula un hash del contenido publicado ignorando los timestamps `processedAt` y el `sourceFile` de la metadata,
+   * para detectar si el JSON generado es idéntico al que ya está publicado
+   * (un Excel con el mismo contenido suele volver a subirse con otra fecha en el nombre: HOME_RD_2025_11_01)
+   * @param {object} outputData - JSON a publicar ({ metadata, data })
+   */
+  computeContentHash(outputData) {
+    return crypto.createHash('sha256').update(JSON.stringify(this.normalizeContent(outputData))).digest('hex');
+  }
+
+  /**
+   * Elimina `processedAt` en cualquier nivel y `sourceFile` de los objetos `metadata`, y ordena las claves de los objetos
+   */
+  normalizeContent(value, parentKey = null) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeContent(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .filter(key => key !== 'processedAt' && !(parentKey === 'metadata' && key === 'sourceFile'))
+        .sort()
+        .reduce((acc, key) => {
+          acc[key] = this.normalizeContent(value[key], key);
+          return acc;
+        }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Ruta del índice de versiones de un archivo del portal
+   */
+  getIndexPath(account, fileName) {
+    return `${VERSIONS_FOLDER}/${account}/${fileName}.json`;
+  }
+
+  /**
+   * Lee el índice de versiones (más antigua primero)
+   */
+  async readIndex(account, fileName) {
+    const storage = getStorage();
+    const indexPath = this.getIndexPath(account, fileName);
+    if (!(await storage.exists(indexPath))) {
+      return [];
+    }
+    const content = await storage.read(indexPath);
+    return JSON.parse(content.toString('utf8'));
+  }
+
+  /**
+   * Registra una nueva versión publicada
+   * @param {object} publication - { fileType, fileName, sheetName, sourceFile, account, environment,
+   *   portalPath, archivePath, checksum, contentHash, executionId, trigger, rollbackOf, promotedFrom }
+   * @returns {Promise<object>} Versión registrada
+   */
+  async recordVersion(publication) {
+    const version = {
+      id: this.generateVersionId(),
+      fileType: publication.fileType || null,
+      fileName: publication.fileName,
+      sheetName: publication.sheetName || null,
+      sourceFile: publication.sourceFile || null,
+      account: publication.account,
+      environment: publication.environment || null,
+      portalPath: publication.portalPath,
+      archivePath: publication.archivePath || null,
+      checksum: publication.checksum,
+      contentHash: publication.contentHash || null,
+      executionId: publication.executionId || null,
+      trigger: publication.trigger || 'publish',
+      rollbackOf: publication.rollbackOf || null,
+      promotedFrom: publication.promotedFrom || null,
+      publishedAt: new Date().toISOString()
+    };
+
+    const versions = await this.readIndex(version.account, version.fileName);
+    versions.push(version);
+    await getStorage().save(
+      this.getIndexPath(version.account, version.fileName),
+      JSON.stringify(versions, null, 2),
+      'application/json'
+    );
+
+    logOperations.vtex.info(`Versión registrada: ${version.id} (${version.account}/${version.fileName})`);
+    return version;
+  }
+
+  /**
+   * Lista las versiones de un archivo del portal, más recientes primero
+   * @param {string} fileName - Archivo del portal (ej: 'googlesheet.json')
+   * @param {string|null} account - Cuenta VTEX; si no se indica, todas las cuentas
+   */
+  async listVersions(fileName, account = null) {
+    const accounts = account ? [account] : await this.listAccounts();
+    const versions = [];
+    for (const acc of accounts) {
+      // El índice está en orden de publicación: invertido, dos versiones del mismo milisegundo quedan bien ordenadas
+      versions.push(...(await this.readIndex(acc, fileName)).reverse());
+    }
+    return versions.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  }
+
+  /**
+   * Cuentas que tienen índices de versiones
+   */
+  async listAccounts() {
+    const entries = await getStorage().list(`${VERSIONS_FOLDER}/`);
+    const accounts = entries
+      .map(entry => entry.name.slice(VERSIONS_FOLDER.length + 1).split('/')[0])
+      .filter(Boolean);
+    return [...new Set(accounts)];
+  }
+
+  /**
+   * Última versión publicada de un archivo en una cuenta
+   * @returns {Promise<object|null>}
+   */
+  async getLatestVersion(fileName, account) {
+    const versions = await this.readIndex(account, fileName);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  /**
+   * Lee el JSON archivado de la última versión publicada que tenga copia en el bucket
+   * @returns {Promise<{version: object, content: object}|null>}
+   */
+  async readLatestPublishedContent(fileName, account) {
+    const versions = await this.readIndex(account, fileName);
+    const version = [...versions].reverse().find(v => v.archivePath);
+    if (!version) return null;
+
+    const content = await getStorage().read(version.archivePath);
+    return { version, content: JSON.parse(content.toString('utf8')) };
+  }
+
+  /**
+   * Busca una versión por id
+   * @returns {Promise<object|null>}
+   */
+  async getVersion(versionId) {
+    const entries = await getStorage().list(`${VERSIONS_FOLDER}/`);
+    for (const entry of entries) {
+      const content = await getStorage().read(entry.name);
+      const version = JSON.parse(content.toString('utf8')).find(v => v.id === versionId);
+      if (version) return version;
+    }
+    return null;
+  }
+
+  /**
+   * Vuelve a publicar una versión anterior en la misma ruta del portal
+   * @param {string} fileName - Archivo del portal (ej: 'sellers.json')
+   * @param {object} options - { versionId, account }. Sin versionId se usa la versión previa a la vigente (sin contar las que un rollback dejó atrás)
+   * @returns {Promise<{executionId: string, restored: object, version: object}>}
+   */
+  async rollback(fileName, options = {}) {
+    const target = await this.resolveRollbackTarget(fileName, options);
+
+    if (!target.archivePath) {
+      throw createError.validation(`La versión ${target.id} no tiene copia archivada para restaurar`, 'versionId');
+    }
+
+    return this.runExclusive('rollback', target, async (executionId) => {
+      const version = await this.restoreVersion(target, { executionId, trigger: 'rollback', trackStages: true });
+      processStatus.completeProcess(0, null, { success: true, result: 'rolled_back', message: `Rollback a la versión ${target.id}`, version });
+      return { executionId, restored: target, version };
+    });
+  }
+
+  /**
+   * Publica en el ambiente de promoción (ej: RD → PRD) exactamente el mismo JSON de una versión
+   * Si el ambiente destino requiere aprobación no se publica: queda una aprobación pendiente (approvalService)
+   * @param {string} versionId - Versión publicada en el ambiente de origen
+   * @returns {Promise<{executionId: string, promoted: object, version: object|null, unchanged: boolean,
+   *   approval: object|null, result: object}>}
+   */
+  async promote(versionId) {
+    const promotion = await this.resolvePromotion(versionId);
+    return this.runExclusive('promote', promotion.source, executionId => this.publishPromotion(promotion, { executionId }));
+  }
+
+  /**
+   * Valida que una versión se pueda promover y resuelve los ambientes de origen y destino
+   * @returns {Promise<{source: object, sourceEnvironment: object, targetEnvironment: object}>}
+   */
+  async resolvePromotion(versionId) {
+    const source = await this.getVersion(versionId);
+    if (!source) {
+      throw createError.notFound(`Versión ${versionId}`);
+    }
+
+    const sourceEnvironment = vtexEnvironments.get(source.environment) || vtexEnvironments.findByAccount(source.account);
+    if (!sourceEnvironment || !sourceEnvironment.promoteTo) {
+      throw createError.validation(`La versión ${versionId} (${source.account}) no pertenece a un ambiente con promoción configurada`, 'id');
+    }
+    if (!source.archivePath) {
+      throw createError.validation(`La versión ${versionId} no tiene copia archivada para promover`, 'id');
+    }
+    return { source, sourceEnvironment, targetEnvironment: vtexEnvironments.get(sourceEnvironment.promoteTo) };
+  }
+
+  /**
+   * Promueve una versión dentro de una ejecución ya iniciada (con el lock del pipeline) y la completa
+   * Sin approval, si el ambiente destino requiere aprobación solo se registra la aprobación pendiente;
+   * con approval (promoción aprobada, ver pipelineService.publishApproved) se publica
+   * @param {object} promotion - Resultado de resolvePromotion
+   * @param {object} options - { executionId, approval }
+   */
+  async publishPromotion({ source, sourceEnvironment, targetEnvironment }, { executionId, approval = null }) {
+    // Lazy loading para evitar la dependencia circular (approvalService → excelService → publicationService)
+    const approvalService = require('./approvalService');
+    const complete = (outcome, result) => {
+      processStatus.completeProcess(0, null, result);
+      return { executionId, promoted: source, version: null, unchanged: false, approval: null, ...outcome, result };
+    };
+
+    // Si el destino ya tiene exactamente este contenido no se vuelve a subir
+    const current = await this.getLatestVersion(source.fileName, targetEnvironment.account);
+    if (current && source.contentHash && current.contentHash === source.contentHash) {
+      logOperations.vtex.info(`${targetEnvironment.account}/${source.fileName} ya tiene el contenido de la versión ${source.id}, no se vuelve a subir`);
+      return complete({ version: current, unchanged: true }, {
+        success: true,
+        result: 'no_changes',
+        message: `${targetEnvironment.name} ya tiene el contenido de la versión ${source.id}`,
+        version: current
+      });
+    }
+
+    // El ambiente destino requiere aprobación: la promoción queda pendiente
+    if (!approval && approvalService.requiresApprovalFor(source.fileType, targetEnvironment.name)) {
+      processStatus.startStage(executionId, 'approval');
+      const pending = await approvalService.createPromotion(source, targetEnvironment, { executionId });
+      processStatus.completeStage(executionId, { approvalId: pending.id, expiresAt: pending.expiresAt });
+      return complete({ approval: pending }, {
+        success: true,
+        result: 'pending_approval',
+        message: `Promoción de la versión ${source.id} a ${targetEnvironment.name} pendiente de aprobación (${pending.id})`,
+        approvalId: pending.id
+      });
+    }
+
+    const version = await this.publishArchive(source, {
+      executionId,
+      trigger: 'promote',
+      environment: targetEnvironment.name,
+      account: targetEnvironment.account,
+      link: { rollbackOf: null, promotedFrom: source.id },
+      trackStages: true
+    });
+    return complete({ version }, {
+      success: true,
+      result: 'promoted',
+      message: `Versión ${source.id} promovida de ${sourceEnvironment.name} a ${targetEnvironment.name}`,
+      version
+    });
+  }
+
+  /**
+   * Ejecuta un rollback o promoción como una ejecución propia, con el lock del pipeline
+   * La ejecución queda enlazada a la versión de origen (linkedTo)
+   * @param {string} trigger - 'rollback' o 'promote'
+   * @param {object} source - Versión de origen
+   * @param {Function} work - async (executionId) => resultado; debe completar la ejecución
+   */
+  async runExclusive(trigger, source, work) {
+    if (!processStatus.canStartNewProcess()) {
+      throw createError.conflict('Ya hay un proceso en ejecución');
+    }
+    const { lease, holder } = await lockService.acquirePipeline(trigger);
+    if (!lease) {
+      throw createError.conflict(`Otra instancia está procesando${holder ? ` (${holder.owner})` : ''}`);
+    }
+
+    const executionId = processStatus.startProcess(trigger, {
+      sourceFile: source.sourceFile,
+      linkedTo: { relation: trigger, versionId: source.id, executionId: source.executionId }
+    });
+
+    try {
+      return await work(executionId);
+    } catch (error) {
+      processStatus.completeProcess(0, error);
+      throw error;
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Vuelve a subir la copia archivada de una versión a su misma ruta del portal
+   * y la registra como una nueva versión
+   * @param {object} target - Versión a restaurar (con archivePath)
+   * @param {object} options - { executionId, trigger, trackStages }
+   * @returns {Promise<object>} Nueva versión registrada
+   */
+  async restoreVersion(target, { executionId = null, trigger = 'rollback', trackStages = false } = {}) {
+    return this.publishArchive(target, {
+      executionId,
+      trigger,
+      environment: target.environment || null,
+      account: target.account,
+      link: { rollbackOf: target.id },
+      trackStages
+    });
+  }
+
+  /**
+   * Sube la copia archivada de una versión al portal y la registra como una nueva versión
+   * @param {object} source - Versión con archivePath
+   * @param {object} options - { executionId, trigger, environment, account, link, trackStages }:
+   *   environment fija el ambiente destino (si no, se detecta por el sourceFile del JSON) y account es la cuenta esperada;
+   *   link son los campos que enlazan la nueva versión con la de origen (rollbackOf, promotedFrom);
+   *   trackStages registra las etapas download/publish (no se usa al revertir dentro de otra etapa)
+   * @returns {Promise<object>} Nueva versión registrada
+   */
+  async publishArchive(source, { executionId = null, trigger, environment = null, account = source.account, link = {}, trackStages = false } = {}) {
+    const { fileName } = source;
+    const enterStage = (name, details) => trackStages && processStatus.startStage(executionId, name, details);
+    const localPath = path.join(TEMP_DIR, `${executionId || Date.now()}_${fileName}`);
+
+    try {
+      logOperations.vtex.info(`Publicando en ${account}/${fileName} la versión ${source.id} (${source.archivePath})`);
+      enterStage('download', { source: source.archivePath });
+      await downloadFile(source.archivePath, localPath);
+
+      // El destino se resuelve con el sourceFile del JSON archivado (o el ambiente indicado): debe ser la cuenta esperada
+      enterStage('publish', { target: fileName, account });
+      const content = await fs.readFile(localPath, 'utf8');
+      const portalTarget = resolvePortalTarget(this.extractSourceFile(content) || fileName, fileName, environment);
+      if (portalTarget.account !== account) {
+        throw createError.validation(
+          `La copia archivada apunta a ${portalTarget.account} pero la versión pertenece a ${account}`,
+          'versionId'
+        );
+      }
+
+      const uploaded = await uploadFileToVtexPortal(localPath, fileName, { environment: portalTarget.environment });
+      processStatus.emitEvent(executionId, 'upload', { fileName, account, url: portalTarget.url, uploaded, ...link });
+      if (!uploaded) {
+        throw createError.vtex(`No se pudo publicar la versión ${source.id} en el portal`, 502, { fileName, account });
+      }
+
+      return await this.recordVersion({
+        ...source,
+        account: portalTarget.account,
+        environment: portalTarget.environment,
+        portalPath: portalTarget.path,
+        checksum: this.computeChecksum(content),
+        executionId,
+        trigger,
+        ...link
+      });
+
+    } finally {
+      await fs.unlink(localPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Determina la versión a restaurar
+   */
+  async resolveRollbackTarget(fileName, { versionId = null, account = null } = {}) {
+    if (versionId) {
+      const version = await this.getVersion(versionId);
+      if (!version || version.fileName !== fileName) {
+        throw createError.notFound(`Versión ${versionId} de ${fileName}`);
+      }
+      // La versión se restaura en su propia cuenta: un account distinto es un error del que pide el rollback
+      if (account && version.account !== account) {
+        throw createError.validation(`La versión ${versionId} es de la cuenta ${version.account}, no de ${account}`, 'account');
+      }
+      return version;
+    }
+
+    const versions = await this.listVersions(fileName, account);
+    const accounts = [...new Set(versions.map(v => v.account))];
+    if (accounts.length > 1) {
+      throw createError.validation(`${fileName} tiene versiones en varias cuentas (${accounts.join(', ')}): indique account`, 'account');
+    }
+    // La vigente es la última de la pila; la anterior, la que estaba publicada antes que ella
+    const stack = this.getPublishedStack(versions);
+    if (stack.length < 2) {
+      throw createError.notFound(`Versión anterior de ${fileName}`);
+    }
+    return stack[stack.length - 2];
+  }
+
+  /**
+   * Reconstruye la pila de versiones publicadas (más antigua primero), sin las que un rollback dejó atrás
+   * Un rollback a la versión X (rollbackOf) saca de la pila a X y a todo lo publicado después, y queda él en su lugar:
+   * así un segundo rollback sin versionId no vuelve a publicar la versión mala que se acaba de revertir
+   * @param {Array<object>} versions - Versiones de un archivo en una cuenta, más reciente primero (listVersions)
+   */
+  getPublishedStack(versions) {
+    const stack = [];
+    for (const version of [...versions].reverse()) {
+      const restoredIndex = version.rollbackOf ? stack.findIndex(entry => entry.id === version.rollbackOf) : -1;
+      if (restoredIndex !== -1) {
+        stack.splice(restoredIndex);
+      }
+      stack.push(version);
+    }
+    return stack;
+  }
+
+  /**
+   * Obtiene metadata.sourceFile del JSON publicado
+   */
+  extractSourceFile(content) {
+    try {
+      const json = JSON.parse(content);
+      return json?.metadata?.sourceFile || json?.data?.metadata?.sourceFile || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Genera un ID único para la versión
+   */
+  generateVersionId() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    return `pub_${timestamp}_${random}`;
+  }
+}
+
+// Crear instancia singleton
+const publicationService = new PublicationService();
+
+module.exports = publicationService;
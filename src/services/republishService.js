@@ -0,0 +1,225 @@
+/**
+ * Republicación programada de los HOME filtrados por ventana (HOME_WINDOW_FILTER)
+ * Al publicar un HOME se agenda una republicación en el próximo inicio o fin de sus filas: en ese momento
+ * el Excel archivado vuelve a pasar por el pipeline y el JSON publicado prende o apaga los banners a tiempo
+ * Hay una republicación agendada por tipo y ambiente (la publicación más reciente reemplaza a la anterior);
+ * se guarda en Publicaciones_json_vtex/_republicaciones/ para sobrevivir a reinicios y a otras instancias
+ * En los ambientes con aprobación la republicación no vuelve a pedirla: el Excel archivado ya se aprobó (pipelineService.run)
+ */
+
+const path = require('path');
+const { logOperations } = require('../utils/logger');
+const { getStorage } = require('./storage');
+const fileTypeRegistry = require('../config/fileTypes');
+const processStatus = require('./processStatus');
+const lockService = require('./lockService');
+
+const REPUBLISH_FOLDER = 'Publicaciones_json_vtex/_republicaciones';
+const PENDING_FOLDER = 'Archivos_sheets';
+
+// Si al vencer el timer hay otro proceso en curso, se reintenta al minuto
+const RETRY_DELAY_MS = 60 * 1000;
+// Tope de setTimeout (~24,8 días): las fechas más lejanas se reprograman al vencer
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Servicio de republicaciones programadas
+ */
+class RepublishService {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  /**
+   * Clave de la republicación de un Excel: su tipo y ambiente (ej: home_RD)
+   */
+  getKey(sourceFile) {
+    const fileTypeDef = fileTypeRegistry.resolveOrFallback(sourceFile);
+    const environment = fileTypeRegistry.detectEnvironment(sourceFile);
+    return `${fileTypeDef ? fileTypeDef.type : 'unknown'}_${environment || 'default'}`;
+  }
+
+  getRecordPath(key) {
+    return `${REPUBLISH_FOLDER}/${key}.json`;
+  }
+
+  /**
+   * Agenda (o cancela, si no hay próximo inicio/fin) la republicación de un Excel recién publicado
+   * Nunca lanza: un fallo aquí solo se registra en el log
+   * @param {object} details - { sourceFile, excelPath (Excel archivado), nextBoundary (ISO o null), executionId }
+   * @returns {Promise<object|null>} Republicación agendada
+   */
+  async update({ sourceFile, excelPath, nextBoundary, executionId }) {
+    const key = this.getKey(sourceFile);
+    try {
+      if (!nextBoundary || !excelPath) {
+        await this.cancel(key);
+        return null;
+      }
+
+      const record = {
+        key,
+        sourceFile,
+        excelPath,
+        at: nextBoundary,
+        scheduledBy: executionId || null,
+        createdAt: new Date().toISOString()
+      };
+      await getStorage().save(this.getRecordPath(key), JSON.stringify(record, null, 2), 'application/json');
+      this.arm(record);
+      logOperations.cron.info(`Republicación de ${sourceFile} agendada para ${record.at} (próximo inicio/fin de ventana)`);
+      return record;
+    } catch (error) {
+      logOperations.cron.error(`Error agendando la republicación de ${sourceFile}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancela la republicación agendada de una clave
+   */
+  async cancel(key) {
+    this.disarm(key);
+    const storage = getStorage();
+    if (await storage.exists(this.getRecordPath(key))) {
+      await storage.delete(this.getRecordPath(key));
+      logOperations.cron.info(`Republicación ${key} cancelada (sin próximos inicios/fin de ventana)`);
+    }
+  }
+
+  /**
+   * Republicaciones agendadas, la más próxima primero
+   */
+  async list() {
+    const storage = getStorage();
+    const entries = (await storage.list(`${REPUBLISH_FOLDER}/`)).filter(entry => entry.name.endsWith('.json'));
+
+    const records = [];
+    for (const entry of entries) {
+      records.push(JSON.parse((await storage.read(entry.name)).toString('utf8')));
+    }
+    return records.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Arma los timers de las republicaciones guardadas (al iniciar el servicio programado)
+   */
+  async start() {
+    const records = await this.list();
+    records.forEach(record => this.arm(record));
+    if (records.length > 0) {
+      logOperations.cron.info(`${records.length} republicación(es) agendada(s): ${records.map(record => `${record.sourceFile} (${record.at})`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Detiene todos los timers (las republicaciones siguen guardadas)
+   */
+  stop() {
+    [...this.timers.keys()].forEach(key => this.disarm(key));
+  }
+
+  arm(record, delay = new Date(record.at).getTime() - Date.now()) {
+    this.disarm(record.key);
+    const timer = setTimeout(() => {
+      this.timers.delete(record.key);
+      if (new Date(record.at).getTime() > Date.now()) {
+        this.arm(record);
+        return;
+      }
+      this.runDue().catch(error => logOperations.cron.error('Error ejecutando las republicaciones agendadas', error));
+    }, Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS));
+    // El timer no mantiene vivo el proceso
+    timer.unref();
+    this.timers.set(record.key, timer);
+  }
+
+  disarm(key) {
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+  }
+
+  /**
+   * Ejecuta las republicaciones vencidas tomando el lock del pipeline
+   * Si hay otro proceso en curso (en esta u otra instancia) se reintenta al minuto
+   */
+  async runDue() {
+    const retry = async () => {
+      const [next] = (await this.list()).filter(record => new Date(record.at).getTime() <= Date.now());
+      if (next) this.arm(next, RETRY_DELAY_MS);
+    };
+
+    if (!processStatus.canStartNewProcess()) {
+      logOperations.cron.warn('Republicación postergada: hay un proceso en curso');
+      return retry();
+    }
+    const { lease, holder } = await lockService.acquirePipeline('republish');
+    if (!lease) {
+      logOperations.cron.warn(`Republicación postergada: otra instancia está procesando${holder ? ` (${holder.owner})` : ''}`);
+      return retry();
+    }
+    try {
+      await this.processDue();
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Republica los Excel cuya fecha llegó (con el lock del pipeline ya adquirido)
+   * También la llama la ejecución programada, por si el timer se perdió en un reinicio
+   * @returns {Promise<number>} Cantidad de republicaciones ejecutadas
+   */
+  async processDue() {
+    const due = (await this.list()).filter(record => new Date(record.at).getTime() <= Date.now());
+    for (const record of due) {
+      if (!processStatus.canStartNewProcess()) break;
+      await this.republish(record);
+    }
+    return due.length;
+  }
+
+  /**
+   * Vuelve a pasar el Excel archivado por el pipeline: se copia a la cola y se procesa como cualquier otro
+   * (al publicarse se agenda el próximo inicio/fin; si falla, va a Errores/ con su reporte)
+   */
+  async republish(record) {
+    // Lazy loading para evitar la dependencia circular con pipelineService
+    const pipelineService = require('./pipelineService');
+    const storage = getStorage();
+    const queuePath = `${PENDING_FOLDER}/${path.basename(record.excelPath)}`;
+
+    this.disarm(record.key);
+    await storage.delete(this.getRecordPath(record.key));
+
+    if (!(await storage.exists(record.excelPath))) {
+      logOperations.cron.warn(`Republicación de ${record.sourceFile} descartada: ya no está ${record.excelPath}`);
+      return;
+    }
+    if (await storage.exists(queuePath)) {
+      logOperations.cron.info(`Republicación de ${record.sourceFile} descartada: hay una versión nueva en la cola`);
+      return;
+    }
+
+    await storage.save(queuePath, await storage.read(record.excelPath), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    logOperations.cron.info(`Republicando ${record.sourceFile} (inicio/fin de ventana ${record.at})`);
+
+    const executionId = processStatus.startProcess('republish', {
+      sourceFile: record.sourceFile,
+      linkedTo: { relation: 'republish', executionId: record.scheduledBy, at: record.at }
+    });
+    try {
+      await pipelineService.run({ bucketFilePath: queuePath, fileName: record.sourceFile }, { trigger: 'republish', executionId });
+    } catch (error) {
+      // El pipeline ya registró y notificó el error
+      logOperations.cron.error(`Error republicando ${record.sourceFile}`, error);
+    }
+  }
+}
+
+// Crear instancia singleton
+const republishService = new RepublishService();
+
+module.exports = republishService;
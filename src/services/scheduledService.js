@@ -7,8 +7,12 @@ const cron = require('node-cron');
 const { config } = require('../config/env');
 const { logOperations } = require('../utils/logger');
 const excelService = require('./excelService');
-const vtexService = require('./vtexService');
+const pipelineService = require('./pipelineService');
+const approvalService = require('./approvalService');
+const republishService = require('./republishService');
 const processStatus = require('./processStatus');
+const lockService = require('./lockService');
+const vtexHttpClient = require('./vtexHttpClient');
 
 /**
  * Servicio de tareas programadas
@@ -18,6 +22,7 @@ class ScheduledService {
     this.cronJob = null;
     this.isRunning = false;
     this.lastExecution = null;
+    this.stoppedDuringRun = false;
   }
 
   /**
@@ -51,6 +56,13 @@ class ScheduledService {
 
       logOperations.cron.info('✅ Servicio programado iniciado exitosamente');
 
+      // Republicaciones por ventana agendadas antes del reinicio
+      try {
+        await republishService.start();
+      } catch (error) {
+        logOperations.cron.error('Error cargando las republicaciones agendadas', error);
+      }
+
       // Ejecutar una vez al inicio si está configurado
       if (process.env.RUN_ON_STARTUP === 'true') {
         logOperations.cron.info('Ejecutando tarea inicial al startup...');
@@ -83,7 +95,9 @@ class ScheduledService {
       // Detener el cron job
       this.cronJob.stop();
       this.cronJob = null;
+      republishService.stop();
       this.isRunning = false;
+      this.stoppedDuringRun = true;
 
       logOperations.cron.info('✅ Servicio programado detenido');
 
@@ -104,6 +118,8 @@ class ScheduledService {
 
   /**
    * Ejecuta la tarea programada principal
+   * Arma la cola de Excel pendientes y procesa cada uno, del más antiguo al más reciente,
+   * como una ejecución independiente en processStatus
    */
   async executeScheduledTask() {
     // Verificar si ya hay un proceso en ejecución
@@ -112,63 +128,115 @@ class ScheduledService {
       return;
     }
 
-    const executionId = processStatus.startProcess('auto');
-    this.lastExecution = new Date();
+    // Solo una instancia procesa la cola a la vez
+    let lease;
+    try {
+      const lock = await lockService.acquirePipeline('cron');
+      if (!lock.lease) {
+        const holder = lock.holder;
+        logOperations.cron.warn(`Saltando ejecución programada: otra instancia está procesando${holder ? ` (${holder.owner}, ${holder.purpose}, vence ${holder.expiresAt})` : ''}`);
+        return;
+      }
+      lease = lock.lease;
+    } catch (error) {
+      logOperations.cron.error('❌ Error adquiriendo el lock del pipeline', error);
+      return;
+    }
 
     try {
-      logOperations.cron.start();
+      await this.processQueue();
+    } finally {
+      await lease.release();
+    }
+  }
 
-      // 1. Leer y procesar el archivo Excel
-      logOperations.cron.info('Iniciando lectura de archivo Excel');
-      const jsonData = await excelService.readExcelAndConvert();
+  /**
+   * Procesa la cola de Excel pendientes (con el lock del pipeline ya adquirido)
+   */
+  async processQueue() {
+    this.lastExecution = new Date();
+    this.stoppedDuringRun = false;
 
-      // Validar datos
-      const sourceFile = jsonData?.metadata?.sourceFile || '';
-      if (!jsonData || !jsonData.metadata || !jsonData.metadata.totalRecords) {
-        throw new Error('No se obtuvieron datos del archivo Excel');
+    // Las publicaciones que nadie aprobó a tiempo se descartan (el Excel va a Errores/)
+    try {
+      const expired = await approvalService.expirePending();
+      if (expired > 0) {
+        logOperations.cron.warn(`${expired} aprobación(es) vencida(s) descartada(s)`);
       }
+    } catch (error) {
+      logOperations.cron.error('Error revisando las aprobaciones vencidas', error);
+    }
 
-      logOperations.cron.info(`Excel procesado: ${jsonData.metadata.totalRecords} registros encontrados`);
-
-      // 2. Determinar si se debe enviar a dataentities o solo al portal
-      const upperSource = sourceFile.toUpperCase();
-      const isProduction = upperSource.startsWith('HOME_PRD_') || upperSource.startsWith('LOCATIONS_PRD_');
-      const isLocations = upperSource.startsWith('LOCATIONS_');
-      const isSellers = upperSource.startsWith('SELLERS_');
-      const isDestacados = upperSource.startsWith('DESTACADOS_');
-      const isVariantes = upperSource.startsWith('VARIANTES_');
-
-      const skipDataEntities = isProduction || isLocations || isSellers || isDestacados || isVariantes;
-
-      if (skipDataEntities) {
-        let reason = 'Archivo de producción';
-        if (isLocations) reason = 'Archivo de Locations';
-        if (isSellers) reason = 'Archivo de Sellers';
-        if (isDestacados) reason = 'Archivo de Destacados';
-        if (isVariantes) reason = 'Archivo de Variantes';
-        logOperations.cron.info(`${reason} detectado, solo se sube al portal VTEX. No se envía a dataentities.`);
-        processStatus.completeProcess(jsonData.metadata.totalRecords, null, { success: true, message: 'Solo subida a portal VTEX' });
-      } else {
-        logOperations.cron.info('Enviando datos a VTEX (dataentities)...');
-        const vtexResponse = await vtexService.sendData(jsonData);
-        if (!vtexResponse.success) {
-          throw new Error(`Error enviando datos a VTEX: ${vtexResponse.error || 'Error desconocido'}`);
-        }
-        processStatus.completeProcess(jsonData.metadata.totalRecords, null, vtexResponse);
-        logOperations.cron.info(`✅ Sincronización automática completada exitosamente`);
-        logOperations.cron.info(`Registros procesados: ${jsonData.metadata.totalRecords}`);
-        logOperations.cron.info(`Registros enviados exitosamente: ${vtexResponse.successfulRecords || jsonData.metadata.totalRecords}`);
-      }
+    if (vtexHttpClient.isOpen()) {
+      logOperations.cron.warn(`Saltando ejecución programada: publicación pausada por fallos de VTEX hasta ${vtexHttpClient.getStatus().reopensAt}`);
+      return;
+    }
 
+    // Republicaciones por ventana vencidas (por si su timer se perdió, ej: en un reinicio)
+    try {
+      await republishService.processDue();
     } catch (error) {
-      // Completar proceso con error
-      processStatus.completeProcess(0, error);
-      
-      logOperations.cron.error('❌ Error en sincronización automática', error);
-      
-      // Decidir si debe continuar o detenerse según el tipo de error
+      logOperations.cron.error('Error ejecutando las republicaciones agendadas', error);
+    }
+
+    let queue;
+    try {
+      queue = await excelService.listPendingFiles();
+    } catch (error) {
+      logOperations.cron.error('❌ Error listando archivos pendientes en Archivos_sheets/', error);
       await this.handleScheduledTaskError(error);
+      await pipelineService.notifyError(error, { trigger: 'auto' });
+      return;
     }
+
+    if (queue.length === 0) {
+      logOperations.cron.info('No hay archivos Excel pendientes en Archivos_sheets/');
+      return;
+    }
+
+    logOperations.cron.info(`${queue.length} archivo(s) pendiente(s): ${queue.map(f => f.fileName).join(', ')}`);
+
+    for (const pendingFile of queue) {
+      // Un error de autenticación detiene el servicio: no seguir con la cola
+      if (this.stoppedDuringRun) {
+        logOperations.cron.warn('Servicio detenido durante la ejecución, se interrumpe la cola de archivos pendientes');
+        break;
+      }
+      if (!processStatus.canStartNewProcess()) {
+        logOperations.cron.warn(`Saltando ${pendingFile.fileName}: hay otro proceso en curso`);
+        break;
+      }
+      if (vtexHttpClient.isOpen()) {
+        logOperations.cron.warn('Publicación pausada por fallos de VTEX, se interrumpe la cola de archivos pendientes');
+        break;
+      }
+      const executionId = await this.processPendingFile(pendingFile);
+      if (processStatus.getExecution(executionId)?.status === 'cancelled') {
+        logOperations.cron.warn('Ejecución cancelada, se interrumpe la cola de archivos pendientes');
+        break;
+      }
+    }
+  }
+
+  /**
+   * Procesa un Excel de la cola como una ejecución propia con el pipeline compartido
+   * Los errores pasan por la política del cron (handleScheduledTaskError)
+   * @param {{bucketFilePath: string, fileName: string}} pendingFile
+   * @returns {Promise<string>} Id de la ejecución
+   */
+  async processPendingFile(pendingFile) {
+    const executionId = processStatus.startProcess('auto', { sourceFile: pendingFile.fileName });
+
+    try {
+      await pipelineService.run(pendingFile, { trigger: 'auto', executionId });
+    } catch (error) {
+      // El pipeline ya registró y notificó el error; acá solo se decide si el servicio sigue
+      if (error.type !== 'CANCELLATION') {
+        await this.handleScheduledTaskError(error);
+      }
+    }
+
+    return executionId;
   }
 
   /**
@@ -178,7 +246,7 @@ class ScheduledService {
     const errorMessage = error.message || 'Error desconocido';
 
     // Clasificar tipos de errores y decidir la acción
-    if (error.type === 'EXCEL_ERROR') {
+    if (['EXCEL_ERROR', 'SCHEMA_VALIDATION_ERROR', 'BUSINESS_RULE_ERROR'].includes(error.type)) {
       logOperations.cron.warn('Error de Excel detectado - continuando con próxima ejecución');
     } else if (error.type === 'VTEX_ERROR') {
       if (error.statusCode === 401 || error.statusCode === 403) {
@@ -195,48 +263,6 @@ class ScheduledService {
     } else {
       logOperations.cron.warn('Error general - continuando con próxima ejecución');
     }
-
-    // Notificar error si está configurado
-    await this.notifyError(error);
-  }
-
-  /**
-   * Notifica errores (placeholder para webhook, email, etc.)
-   */
-  async notifyError(error) {
-    try {
-      // Aquí se pueden implementar notificaciones:
-      // - Webhook
-      // - Email
-      // - Slack
-      // - Discord
-      // etc.
-
-      const notificationUrl = process.env.ERROR_NOTIFICATION_WEBHOOK;
-      if (notificationUrl) {
-        logOperations.cron.info('Enviando notificación de error...');
-        
-        // Ejemplo de notificación por webhook
-        const payload = {
-          timestamp: new Date().toISOString(),
-          service: 'excel-vtex-service',
-          error: {
-            message: error.message,
-            type: error.type || 'UNKNOWN',
-            stack: error.stack
-          },
-          environment: config.server.nodeEnv
-        };
-
-        // Implementar llamada HTTP aquí si es necesario
-        // await axios.post(notificationUrl, payload);
-        
-        logOperations.cron.info('Notificación de error enviada');
-      }
-
-    } catch (notifyError) {
-      logOperations.cron.error('Error enviando notificación', notifyError);
-    }
   }
 
   /**
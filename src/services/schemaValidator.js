@@ -0,0 +1,152 @@
+/**
+ * Validación de los JSON generados contra el JSON Schema de su tipo de archivo (src/schemas/)
+ * Se valida después de transformar y antes de publicar: un JSON inválido no llega al portal
+ * Cada violación se informa con la hoja, fila y columna del Excel de la que salió el valor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { logOperations } = require('../utils/logger');
+
+const SCHEMAS_DIR = path.resolve(__dirname, '../schemas');
+
+// Tope de violaciones informadas por JSON (el total se informa siempre)
+const MAX_VIOLATIONS = 100;
+
+/**
+ * Validador de JSON Schema por tipo de archivo
+ */
+class SchemaValidator {
+  constructor(schemasDir = process.env.SCHEMAS_DIR || SCHEMAS_DIR) {
+    this.schemasDir = path.resolve(schemasDir);
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true, strictTuples: false });
+    this.validators = new Map();
+    this.load();
+  }
+
+  /**
+   * Registra todos los schemas de la carpeta (se referencian entre sí por su $id)
+   */
+  load() {
+    for (const file of fs.readdirSync(this.schemasDir).filter(name => name.endsWith('.schema.json'))) {
+      const schema = JSON.parse(fs.readFileSync(path.join(this.schemasDir, file), 'utf8'));
+      this.ajv.addSchema(schema, schema.$id || file);
+    }
+  }
+
+  /**
+   * Validador compilado del schema de un tipo, o null si el tipo no tiene schema
+   */
+  getValidator(fileTypeDef) {
+    const schemaName = fileTypeDef.schema;
+    if (!schemaName) return null;
+
+    if (!this.validators.has(schemaName)) {
+      const validate = this.ajv.getSchema(schemaName);
+      if (!validate) {
+        logOperations.excel.warn(`El tipo '${fileTypeDef.type}' declara el schema ${schemaName}, que no existe en ${this.schemasDir}: no se valida`);
+      }
+      this.validators.set(schemaName, validate || null);
+    }
+    return this.validators.get(schemaName);
+  }
+
+  /**
+   * Valida el JSON que se publicaría
+   * @param {object} fileTypeDef - Definición del registro de tipos
+   * @param {object} output - JSON a publicar ({ metadata, sheets, ... })
+   * @param {SourceMap|null} sourceMap - Origen en el Excel de cada registro (del processor)
+   * @param {string|null} sheetName - Hoja, para tipos con una carga por hoja
+   * @returns {{fileType: string, schema: string|null, sheetName: string|null, valid: boolean,
+   *   totalViolations: number, violations: Array<object>, truncated: boolean}} Reporte de validación
+   */
+  validate(fileTypeDef, output, sourceMap = null, sheetName = null) {
+    const report = {
+      fileType: fileTypeDef.type,
+      schema: fileTypeDef.schema || null,
+      sheetName,
+      valid: true,
+      totalViolations: 0,
+      violations: [],
+      truncated: false
+    };
+
+    const validate = this.getValidator(fileTypeDef);
+    if (!validate) {
+      report.schema = null;
+      return report;
+    }
+
+    // Se valida exactamente lo que se sube (ej: sin las propiedades undefined)
+    if (validate(JSON.parse(JSON.stringify(output)))) {
+      return report;
+    }
+
+    const errors = validate.errors;
+    report.valid = false;
+    report.totalViolations = errors.length;
+    report.truncated = errors.length > MAX_VIOLATIONS;
+    report.violations = errors.slice(0, MAX_VIOLATIONS).map(error => this.toViolation(error, sourceMap, sheetName));
+    return report;
+  }
+
+  /**
+   * Traduce un error de ajv a una violación ubicada en el Excel
+   */
+  toViolation(error, sourceMap, sheetName) {
+    const field = error.params.missingProperty || error.params.additionalProperty || error.params.propertyName || null;
+    const location = sourceMap
+      ? sourceMap.locate(error.instancePath, field)
+      : { sheet: null, row: null, column: null, header: null, field };
+
+    return {
+      sheet: location.sheet || sheetName,
+      row: location.row,
+      column: location.column,
+      header: location.header,
+      field: location.field,
+      path: error.instancePath || '/',
+      keyword: error.keyword,
+      message: this.describe(error)
+    };
+  }
+
+  /**
+   * Mensaje legible de un error de ajv
+   */
+  describe(error) {
+    const { params } = error;
+    switch (error.keyword) {
+      case 'required':
+        return `Falta el campo obligatorio '${params.missingProperty}'`;
+      case 'type':
+        return `Debe ser de tipo ${params.type}`;
+      case 'pattern':
+        return params.pattern === '\\S' ? 'No puede estar vacío' : `No tiene el formato esperado (${params.pattern})`;
+      case 'minLength':
+        return `Debe tener al menos ${params.limit} caracter(es)`;
+      case 'minimum':
+        return `Debe ser mayor o igual a ${params.limit}`;
+      case 'maximum':
+        return `Debe ser menor o igual a ${params.limit}`;
+      case 'enum':
+        return `Debe ser uno de: ${params.allowedValues.join(', ')}`;
+      case 'minItems':
+        return `Debe tener al menos ${params.limit} fila(s)`;
+      case 'minProperties':
+        return `Debe tener al menos ${params.limit} campo(s)`;
+      case 'additionalProperties':
+        return `Campo no permitido '${params.additionalProperty}'`;
+      case 'propertyNames':
+        return `Identificador inválido '${params.propertyName}'`;
+      default:
+        return error.message;
+    }
+  }
+}
+
+// Crear instancia singleton
+const schemaValidator = new SchemaValidator();
+
+module.exports = schemaValidator;
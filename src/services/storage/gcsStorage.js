@@ -0,0 +1,191 @@
+/**
+ * Backend de almacenamiento sobre un bucket de Google Cloud Storage
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Implementación de la interfaz de almacenamiento para GCS
+ */
+class GcsStorage {
+  /**
+   * @param {object} options - { bucketName, projectId, keyFilename }
+   */
+  constructor({ bucketName, projectId, keyFilename }) {
+    this.name = 'gcs';
+    this.bucketName = bucketName;
+    this.projectId = projectId;
+    this.keyFilename = keyFilename;
+    this.client = null;
+  }
+
+  /**
+   * Obtiene el bucket creando el cliente la primera vez que se usa
+   * (así el modo local no necesita credenciales de GCP)
+   */
+  bucket() {
+    if (!this.client) {
+      const { Storage } = require('@google-cloud/storage');
+      this.client = new Storage({ keyFilename: this.keyFilename, projectId: this.projectId });
+    }
+    return this.client.bucket(this.bucketName);
+  }
+
+  /**
+   * Lista los objetos cuyo nombre empieza con el prefijo
+   * @returns {Promise<Array<{name: string, updated: Date, size: number}>>}
+   */
+  async list(prefix = '') {
+    const [files] = await this.bucket().getFiles({ prefix });
+    return (files || []).map(file => this.toEntry(file.name, file.metadata || {}));
+  }
+
+  /**
+   * Descarga un objeto a una ruta local
+   * @param {object} options - { signal }: AbortSignal para cortar la descarga
+   */
+  async download(name, destPath, options = {}) {
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    try {
+      await pipeline(this.bucket().file(name).createReadStream(), createWriteStream(destPath), { signal: options.signal });
+    } catch (error) {
+      await fs.unlink(destPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Lee un objeto completo en memoria
+   * @returns {Promise<Buffer>}
+   */
+  async read(name) {
+    const [content] = await this.bucket().file(name).download();
+    return content;
+  }
+
+  /**
+   * Sube un archivo local
+   */
+  async upload(localPath, destination) {
+    await this.bucket().upload(localPath, { destination });
+  }
+
+  /**
+   * Guarda contenido en memoria como objeto
+   */
+  async save(destination, content, contentType = 'application/json') {
+    await this.bucket().file(destination).save(content, { contentType });
+  }
+
+  /**
+   * Mueve un objeto (copia y borra el original)
+   */
+  async move(srcName, destName) {
+    const bucket = this.bucket();
+    await bucket.file(srcName).copy(bucket.file(destName));
+    await bucket.file(srcName).delete();
+  }
+
+  /**
+   * Elimina un objeto
+   */
+  async delete(name) {
+    await this.bucket().file(name).delete();
+  }
+
+  /**
+   * Obtiene la metadata de un objeto
+   * @returns {Promise<{name: string, updated: Date, size: number}>}
+   */
+  async getMetadata(name) {
+    const [meta] = await this.bucket().file(name).getMetadata();
+    return this.toEntry(name, meta);
+  }
+
+  /**
+   * Indica si un objeto existe
+   */
+  async exists(name) {
+    const [exists] = await this.bucket().file(name).exists();
+    return exists;
+  }
+
+  /**
+   * Crea un objeto solo si no existe (precondición ifGenerationMatch: 0)
+   * @returns {Promise<boolean>} false si ya existía
+   */
+  async createIfAbsent(name, content, contentType = 'application/json') {
+    return this.saveWithPrecondition(name, content, contentType, 0);
+  }
+
+  /**
+   * Lee un objeto junto con su generación (token para escrituras condicionales)
+   * @returns {Promise<{content: Buffer, generation: string}|null>} null si no existe
+   */
+  async readVersioned(name) {
+    try {
+      const file = this.bucket().file(name);
+      const [meta] = await file.getMetadata();
+      const [content] = await file.download({ generation: meta.generation });
+      return { content, generation: String(meta.generation) };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza un objeto solo si su generación no cambió
+   * @returns {Promise<boolean>} false si otro proceso lo modificó antes
+   */
+  async replaceIfGeneration(name, content, generation, contentType = 'application/json') {
+    return this.saveWithPrecondition(name, content, contentType, generation);
+  }
+
+  /**
+   * Elimina un objeto solo si su generación no cambió
+   * @returns {Promise<boolean>} false si otro proceso lo modificó o eliminó antes
+   */
+  async deleteIfGeneration(name, generation) {
+    try {
+      await this.bucket().file(name).delete({ ifGenerationMatch: generation });
+      return true;
+    } catch (error) {
+      if (error.code === 412 || error.code === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un objeto con la precondición ifGenerationMatch
+   */
+  async saveWithPrecondition(name, content, contentType, generation) {
+    try {
+      await this.bucket().file(name).save(content, {
+        contentType,
+        resumable: false,
+        preconditionOpts: { ifGenerationMatch: generation }
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 412) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Normaliza la metadata de GCS al formato común de la interfaz
+   */
+  toEntry(name, meta) {
+    return {
+      name,
+      updated: meta.updated ? new Date(meta.updated) : null,
+      size: meta.size !== undefined ? Number(meta.size) : null
+    };
+  }
+}
+
+module.exports = GcsStorage;
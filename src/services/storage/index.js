@@ -0,0 +1,54 @@
+/**
+ * Punto de acceso único al almacenamiento de archivos (bucket)
+ * Selecciona el backend según config.storage.driver:
+ *   - 'gcs'   → bucket de Google Cloud Storage (por defecto)
+ *   - 'local' → directorio local con la misma estructura de carpetas
+ *
+ * Interfaz común de los backends:
+ *   list(prefix), download(name, destPath, { signal }), read(name), upload(localPath, destination),
+ *   save(destination, content, contentType), move(src, dest), delete(name),
+ *   getMetadata(name), exists(name)
+ *
+ * Escrituras condicionales (usadas por el lock entre instancias):
+ *   createIfAbsent(name, content), readVersioned(name), replaceIfGeneration(name, content, generation),
+ *   deleteIfGeneration(name, generation)
+ */
+
+const { config } = require('../../config/env');
+const GcsStorage = require('./gcsStorage');
+const LocalStorage = require('./localStorage');
+
+let instance = null;
+
+/**
+ * Crea el backend configurado
+ */
+function createStorage(storageConfig = config.storage) {
+  switch (storageConfig.driver) {
+    case 'local':
+      return new LocalStorage({ rootDir: storageConfig.localDir });
+    case 'gcs':
+      return new GcsStorage({
+        bucketName: config.gcp.bucketName,
+        projectId: config.gcp.projectId,
+        keyFilename: config.gcp.keyFilename
+      });
+    default:
+      throw new Error(`Backend de almacenamiento desconocido: ${storageConfig.driver}`);
+  }
+}
+
+/**
+ * Obtiene la instancia compartida del backend configurado
+ */
+function getStorage() {
+  if (!instance) {
+    instance = createStorage();
+  }
+  return instance;
+}
+
+module.exports = {
+  getStorage,
+  createStorage
+};
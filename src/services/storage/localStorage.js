@@ -0,0 +1,218 @@
+/**
+ * Backend de almacenamiento sobre un directorio local
+ * Replica la estructura de carpetas del bucket (Archivos_sheets/, Publicaciones_json_vtex/, ...)
+ * para poder correr el pipeline completo sin GCP
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Implementación de la interfaz de almacenamiento para el sistema de archivos local
+ */
+class LocalStorage {
+  /**
+   * @param {object} options - { rootDir }
+   */
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Convierte un nombre de objeto en una ruta dentro del directorio raíz
+   */
+  resolve(name) {
+    const fullPath = path.resolve(this.rootDir, ...String(name).split('/'));
+    if (fullPath !== this.rootDir && !fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Ruta fuera del almacenamiento local: ${name}`);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Lista los archivos cuyo nombre empieza con el prefijo
+   * @returns {Promise<Array<{name: string, updated: Date, size: number}>>}
+   */
+  async list(prefix = '') {
+    const entries = [];
+    // Solo se recorre la carpeta del prefijo ('Archivos_sheets/HOME' → Archivos_sheets/)
+    const folder = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await this.walk(this.resolve(folder), entries);
+    return entries.filter(entry => entry.name.startsWith(prefix));
+  }
+
+  /**
+   * Recorre el directorio de forma recursiva acumulando los archivos
+   */
+  async walk(dir, entries) {
+    let items;
+    try {
+      items = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const item of items) {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        await this.walk(fullPath, entries);
+      } else if (item.isFile()) {
+        const name = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+        entries.push(await this.getMetadata(name));
+      }
+    }
+  }
+
+  /**
+   * Copia un archivo del almacenamiento a una ruta local
+   * @param {object} options - { signal }: AbortSignal para cortar la copia
+   */
+  async download(name, destPath, options = {}) {
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    try {
+      await pipeline(createReadStream(this.resolve(name)), createWriteStream(destPath), { signal: options.signal });
+    } catch (error) {
+      await fs.unlink(destPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Lee un archivo completo en memoria
+   * @returns {Promise<Buffer>}
+   */
+  async read(name) {
+    return fs.readFile(this.resolve(name));
+  }
+
+  /**
+   * Copia un archivo local dentro del almacenamiento
+   */
+  async upload(localPath, destination) {
+    const destPath = this.resolve(destination);
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await fs.copyFile(localPath, destPath);
+  }
+
+  /**
+   * Guarda contenido en memoria como archivo
+   */
+  async save(destination, content) {
+    const destPath = this.resolve(destination);
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await fs.writeFile(destPath, content);
+  }
+
+  /**
+   * Mueve un archivo dentro del almacenamiento
+   */
+  async move(srcName, destName) {
+    const destPath = this.resolve(destName);
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await fs.rename(this.resolve(srcName), destPath);
+  }
+
+  /**
+   * Elimina un archivo
+   */
+  async delete(name) {
+    await fs.unlink(this.resolve(name));
+  }
+
+  /**
+   * Obtiene la metadata de un archivo
+   * @returns {Promise<{name: string, updated: Date, size: number}>}
+   */
+  async getMetadata(name) {
+    const stats = await fs.stat(this.resolve(name));
+    return { name, updated: stats.mtime, size: stats.size };
+  }
+
+  /**
+   * Crea un archivo solo si no existe (flag 'wx')
+   * @returns {Promise<boolean>} false si ya existía
+   */
+  async createIfAbsent(name, content) {
+    const destPath = this.resolve(name);
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    try {
+      await fs.writeFile(destPath, content, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Lee un archivo junto con un token de versión (fecha de modificación y tamaño)
+   * @returns {Promise<{content: Buffer, generation: string}|null>} null si no existe
+   */
+  async readVersioned(name) {
+    try {
+      const filePath = this.resolve(name);
+      const [content, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+      return { content, generation: this.toGeneration(stats) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza un archivo solo si no cambió desde que se leyó
+   * En disco local la comparación y la escritura no son atómicas: alcanza para un solo host
+   * @returns {Promise<boolean>}
+   */
+  async replaceIfGeneration(name, content, generation) {
+    if (!(await this.isGeneration(name, generation))) return false;
+    await fs.writeFile(this.resolve(name), content);
+    return true;
+  }
+
+  /**
+   * Elimina un archivo solo si no cambió desde que se leyó
+   * @returns {Promise<boolean>}
+   */
+  async deleteIfGeneration(name, generation) {
+    if (!(await this.isGeneration(name, generation))) return false;
+    try {
+      await fs.unlink(this.resolve(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async isGeneration(name, generation) {
+    try {
+      return this.toGeneration(await fs.stat(this.resolve(name))) === generation;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  toGeneration(stats) {
+    return `${stats.mtimeMs}-${stats.size}`;
+  }
+
+  /**
+   * Indica si un archivo existe
+   */
+  async exists(name) {
+    try {
+      await fs.access(this.resolve(name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = LocalStorage;
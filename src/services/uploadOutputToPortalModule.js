@@ -1,77 +1,73 @@
 const fs = require('fs').promises;
-const axios = require('axios');
 require('dotenv').config();
+const fileTypeRegistry = require('../config/fileTypes');
+const vtexEnvironments = require('../config/vtexEnvironments');
+const { createError } = require('../utils/errorHandler');
+const { logOperations } = require('../utils/logger');
+const vtexHttpClient = require('./vtexHttpClient');
 
-async function uploadFileToVtexPortal(filePath, fileName) {
-  // Leer el contenido del archivo JSON para obtener el nombre real del archivo fuente
-  let sourceFileName = fileName;
+// Cliente compartido: reintentos con backoff y circuit breaker
+const portalClient = vtexHttpClient.create({ timeout: 30000 });
+
+/**
+ * Resuelve la cuenta y la ruta del portal VTEX a la que va un archivo
+ * según el ambiente (_RD_/_PRD_/...) del archivo fuente en el registro de ambientes VTEX
+ * (sin token en el nombre se usa el ambiente por defecto)
+ * @param {string} sourceFileName - Nombre del Excel de origen
+ * @param {string} fileName - Nombre del archivo en el portal (ej: 'googlesheet.json')
+ * @param {string|null} environmentName - Ambiente explícito (ej: promoción a PRD); si no, se detecta por el nombre
+ * @returns {{account: string, environment: string, site: string, endpoint: string, path: string, url: string}}
+ * @throws ValidationError si no hay ambiente o si el ambiente no acepta el tipo de archivo
+ */
+function resolvePortalTarget(sourceFileName, fileName, environmentName = null) {
+  const environmentDef = environmentName
+    ? vtexEnvironments.get(environmentName)
+    : vtexEnvironments.resolve(fileTypeRegistry.detectEnvironment(sourceFileName));
+  if (!environmentDef) {
+    throw createError.validation(
+      environmentName
+        ? `El ambiente VTEX ${environmentName} no está definido`
+        : `No se pudo determinar el ambiente VTEX de ${sourceFileName} y no hay ambiente por defecto`,
+      'environment'
+    );
+  }
+
+  const fileTypeDef = fileTypeRegistry.resolve(sourceFileName);
+  if (fileTypeDef && !vtexEnvironments.isFileTypeAllowed(environmentDef, fileTypeDef.type)) {
+    throw createError.validation(`El ambiente ${environmentDef.name} no acepta archivos de tipo ${fileTypeDef.type}`, 'environment');
+  }
+
+  const endpoint = vtexEnvironments.getPortalEndpoint(environmentDef);
+  return {
+    account: environmentDef.account,
+    environment: environmentDef.name,
+    site: environmentDef.site,
+    endpoint,
+    path: `${endpoint}/${fileName}`,
+    url: `${environmentDef.baseUrl}${endpoint}/${fileName}`
+  };
+}
+
+/**
+ * Sube un JSON al portal VTEX (cuenta según el sourceFile del JSON)
+ * @param {string} filePath - Ruta local del JSON
+ * @param {string} fileName - Nombre del archivo en el portal
+ * @param {object} options - { signal, environment }: AbortSignal para cancelar la subida y ambiente explícito
+ * @returns {Promise<boolean>} true si se subió
+ */
+async function uploadFileToVtexPortal(filePath, fileName, options = {}) {
   try {
+    // El sourceFile del JSON (metadata o data.metadata) indica la cuenta; sin él se usa el nombre del archivo
     const fileContent = await fs.readFile(filePath, 'utf8');
-    let json;
-    try {
-      json = JSON.parse(fileContent);
-    } catch (parseErr) {
-      console.error('[ERROR] No se pudo parsear el JSON para obtener sourceFile:', parseErr);
-      json = null;
-    }
-    if (json && json.metadata && json.metadata.sourceFile) {
-      sourceFileName = json.metadata.sourceFile;
-      console.log('[DEBUG] sourceFile extraído del JSON:', sourceFileName);
-    } else if (json && json.data && json.data.metadata && json.data.metadata.sourceFile) {
-      sourceFileName = json.data.metadata.sourceFile;
-      console.log('[DEBUG] sourceFile extraído del JSON (data.metadata):', sourceFileName);
-    } else {
-      console.log('[DEBUG] No se encontró sourceFile en el JSON, usando fileName:', fileName);
-    }
+    const sourceFileName = getSourceFileName(fileContent, fileName);
 
-    // Detectar el endpoint y account según el prefijo del archivo fuente
-    const upperSourceFile = String(sourceFileName || '').toUpperCase();
-    const upperSourceFileForBlacklist = upperSourceFile.replace(/^[^A-Z0-9]+/, '');
-    let endpoint = '';
-    let account = '';
-    if (upperSourceFile.startsWith('HOME_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFile.startsWith('HOME_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else if (upperSourceFile.startsWith('LOCATIONS_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFile.startsWith('LOCATIONS_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else if (upperSourceFile.startsWith('SELLERS_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFile.startsWith('SELLERS_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else if (upperSourceFile.startsWith('DESTACADOS_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFile.startsWith('DESTACADOS_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else if (upperSourceFile.startsWith('VARIANTES_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFile.startsWith('VARIANTES_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else if (upperSourceFileForBlacklist.startsWith('BLACKLIST_RD_')) {
-      endpoint = '/portal/pvt/sites/promartrd/files';
-      account = 'promartrd';
-    } else if (upperSourceFileForBlacklist.startsWith('BLACKLIST_PRD_')) {
-      endpoint = '/portal/pvt/sites/promart/files';
-      account = 'promart';
-    } else {
-      endpoint = process.env.VTEX_ENDPOINT || '/portal/pvt/sites/promartrd/files';
-      account = process.env.VTEX_ACCOUNT || 'promartrd';
+    const { url, environment } = resolvePortalTarget(sourceFileName, fileName, options.environment || null);
+    const environmentDef = vtexEnvironments.get(environment);
+    const { appKey, appToken } = vtexEnvironments.getCredentials(environmentDef);
+    if (!appKey || !appToken) {
+      throw createError.validation(`Faltan las credenciales ${environmentDef.credentials}_APP_KEY / ${environmentDef.credentials}_APP_TOKEN del ambiente ${environment}`, 'credentials');
     }
-    const { VTEX_APP_KEY, VTEX_APP_TOKEN } = process.env;
-    const url = `https://${account}.myvtex.com/api${endpoint}/${fileName}`;
-    console.log(`[VTEX UPLOAD] Subiendo archivo '${fileName}' al portal: ${url}`);
+    logOperations.vtex.info(`Subiendo archivo '${fileName}' al portal: ${url}`);
 
     // El payload debe tener la estructura requerida
     const payload = {
@@ -80,15 +76,30 @@ async function uploadFileToVtexPortal(filePath, fileName) {
     };
     const headers = {
       'Content-Type': 'application/json',
-      'X-VTEX-API-AppKey': VTEX_APP_KEY,
-      'X-VTEX-API-AppToken': VTEX_APP_TOKEN
+      'X-VTEX-API-AppKey': appKey,
+      'X-VTEX-API-AppToken': appToken
     };
-    await axios.put(url, payload, { headers });
+    await portalClient.put(url, payload, { headers, signal: options.signal });
     return true;
   } catch (err) {
-    console.error('[ERROR] Error al subir el archivo a VTEX:', err);
+    logOperations.vtex.error(`Error al subir '${fileName}' al portal`, err);
     return false;
   }
 }
 
-module.exports = { uploadFileToVtexPortal };
\ No newline at end of file
+/**
+ * Obtiene el nombre del Excel de origen guardado en el JSON (metadata.sourceFile o data.metadata.sourceFile)
+ * @returns {string} El sourceFile o, si no está o el JSON no se puede leer, el nombre del archivo
+ */
+function getSourceFileName(fileContent, fileName) {
+  let json;
+  try {
+    json = JSON.parse(fileContent);
+  } catch (parseErr) {
+    logOperations.vtex.warn(`No se pudo leer el JSON de '${fileName}' para obtener sourceFile: ${parseErr.message}`);
+    return fileName;
+  }
+  return json?.metadata?.sourceFile || json?.data?.metadata?.sourceFile || fileName;
+}
+
+module.exports = { uploadFileToVtexPortal, resolvePortalTarget };
\ No newline at end of file
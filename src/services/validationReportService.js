@@ -0,0 +1,173 @@
+/**
+ * Reporte de validación para el usuario de negocio
+ * Cada ejecución genera una copia del Excel original con una hoja "Validación" que lista las observaciones
+ * (filas descartadas, valores corregidos, violaciones del schema) y marca con un comentario cada celda observada
+ * Se guarda en el bucket junto a los JSON archivados (Publicaciones_json_vtex/_validacion/<ejecución>/);
+ * los de dry-run solo en memoria
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { logOperations } = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+const VALIDATION_FOLDER = 'Publicaciones_json_vtex/_validacion';
+const VALIDATION_SHEET = 'Validación';
+const COMMENT_AUTHOR = 'excel-vtex-service';
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Reportes en memoria (dry-run y últimas ejecuciones)
+const MAX_CACHED_REPORTS = 5;
+
+const SEVERITY_LABELS = { error: 'Error', warning: 'Advertencia' };
+
+/**
+ * Servicio de reportes de validación
+ */
+class ValidationReportService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Convierte las violaciones de los reportes de schema en observaciones
+   * @param {Array<object>} reports - Reportes de schemaValidator.validate()
+   */
+  fromSchemaReports(reports) {
+    return reports.flatMap(report => report.violations.map(violation => ({
+      severity: 'error',
+      sheet: violation.sheet,
+      row: violation.row,
+      column: violation.column,
+      field: violation.field,
+      value: null,
+      message: `${violation.message} (schema ${report.schema}, ${violation.path})`
+    })));
+  }
+
+  /**
+   * Genera y guarda el reporte de una ejecución
+   * Nunca lanza: un fallo aquí solo se registra en el log
+   * @param {string} executionId - Ejecución en processStatus
+   * @param {object} details - { localPath, sourceFile, issues, persist }
+   * @returns {Promise<{fileName: string, path: string|null, errors: number, warnings: number}|null>}
+   */
+  async save(executionId, { localPath, sourceFile, issues, persist = true }) {
+    try {
+      const workbook = this.buildWorkbook(localPath, issues);
+      const content = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+      const fileName = `${path.parse(sourceFile).name}_validacion.xlsx`;
+      const summary = {
+        fileName,
+        path: null,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity !== 'error').length
+      };
+
+      this.cache.set(executionId, { fileName, content });
+      while (this.cache.size > MAX_CACHED_REPORTS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+
+      if (persist) {
+        summary.path = `${VALIDATION_FOLDER}/${executionId}/${fileName}`;
+        await getStorage().save(summary.path, content, XLSX_CONTENT_TYPE);
+        logOperations.excel.info(`Reporte de validación guardado en ${summary.path} (${summary.errors} error(es), ${summary.warnings} advertencia(s))`);
+      }
+      return summary;
+    } catch (error) {
+      logOperations.excel.error(`Error generando el reporte de validación de la ejecución ${executionId}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene el reporte de una ejecución (memoria o bucket)
+   * @returns {Promise<{fileName: string, content: Buffer}|null>}
+   */
+  async get(executionId) {
+    if (this.cache.has(executionId)) {
+      return this.cache.get(executionId);
+    }
+
+    const storage = getStorage();
+    const [entry] = (await storage.list(`${VALIDATION_FOLDER}/${executionId}/`)).filter(item => item.name.endsWith('.xlsx'));
+    if (!entry) {
+      return null;
+    }
+    return { fileName: path.basename(entry.name), content: await storage.read(entry.name) };
+  }
+
+  /**
+   * Copia del Excel original con la hoja de validación (al final) y un comentario en cada celda observada
+   * La edición community de SheetJS no escribe estilos: las celdas se marcan con comentarios, no con relleno
+   */
+  buildWorkbook(localPath, issues) {
+    const workbook = XLSX.readFile(localPath);
+
+    for (const issue of issues) {
+      const worksheet = issue.sheet ? workbook.Sheets[issue.sheet] : null;
+      if (!worksheet || !issue.row) continue;
+
+      const address = this.getAddress(issue);
+      if (!worksheet[address]) {
+        worksheet[address] = { t: 's', v: '' };
+        // La celda puede quedar fuera del rango usado de la hoja
+        const range = XLSX.utils.decode_range(worksheet['!ref'] || address);
+        const position = XLSX.utils.decode_cell(address);
+        range.e.c = Math.max(range.e.c, position.c);
+        range.e.r = Math.max(range.e.r, position.r);
+        worksheet['!ref'] = XLSX.utils.encode_range(range);
+      }
+      const cell = worksheet[address];
+      cell.c = cell.c || [];
+      cell.c.push({ a: COMMENT_AUTHOR, t: `[${SEVERITY_LABELS[issue.severity] || issue.severity}] ${issue.message}` });
+    }
+
+    const rows = [['Severidad', 'Hoja', 'Fila', 'Columna', 'Campo', 'Valor', 'Observación', 'Celda']];
+    for (const issue of issues) {
+      rows.push([
+        SEVERITY_LABELS[issue.severity] || issue.severity,
+        issue.sheet || '',
+        issue.row || '',
+        issue.column || '',
+        issue.field || '',
+        issue.value === null || issue.value === undefined ? '' : String(issue.value),
+        issue.message,
+        issue.sheet && issue.row ? `${issue.sheet}!${this.getAddress(issue)}` : ''
+      ]);
+    }
+    if (issues.length === 0) {
+      rows.push(['', '', '', '', '', '', 'Sin observaciones', '']);
+    }
+
+    const validationSheet = XLSX.utils.aoa_to_sheet(rows);
+    validationSheet['!cols'] = [{ wch: 12 }, { wch: 18 }, { wch: 6 }, { wch: 8 }, { wch: 16 }, { wch: 20 }, { wch: 80 }, { wch: 18 }];
+    // Enlace de cada observación a su celda
+    issues.forEach((issue, index) => {
+      if (!issue.sheet || !issue.row || !workbook.Sheets[issue.sheet]) return;
+      const linkCell = validationSheet[XLSX.utils.encode_cell({ c: 7, r: index + 1 })];
+      linkCell.l = { Target: `#'${issue.sheet.replace(/'/g, "''")}'!${this.getAddress(issue)}` };
+    });
+
+    // Si el Excel ya traía una hoja de validación (ej: se subió un reporte anterior) se reemplaza
+    if (workbook.Sheets[VALIDATION_SHEET]) {
+      workbook.Sheets[VALIDATION_SHEET] = validationSheet;
+    } else {
+      XLSX.utils.book_append_sheet(workbook, validationSheet, VALIDATION_SHEET);
+    }
+    return workbook;
+  }
+
+  /**
+   * Celda de una observación (columna A si la observación es de toda la fila)
+   */
+  getAddress(issue) {
+    return `${issue.column || 'A'}${issue.row}`;
+  }
+}
+
+// Crear instancia singleton
+const validationReportService = new ValidationReportService();
+
+module.exports = validationReportService;
@@ -0,0 +1,237 @@
+/**
+ * Cliente HTTP compartido para las llamadas a VTEX (portal y Master Data)
+ * Reintenta los 429, 5xx y errores de red con backoff exponencial con jitter (respetando Retry-After)
+ * y corta con un circuit breaker cuando VTEX falla de forma repetida
+ */
+
+const axios = require('axios');
+const { config } = require('../config/env');
+const { logOperations } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+
+// Errores de red transitorios que se reintentan
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Circuit breaker: se abre tras `threshold` requests fallidos seguidos (ya reintentados)
+ * y, cuando termina el enfriamiento, deja pasar un solo request de prueba a la vez
+ */
+class CircuitBreaker {
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Reserva un request: pasa a 'half_open' cuando venció el enfriamiento y, en prueba, el request reservado es el de prueba
+   * @returns {false|'request'|'probe'} false si no se puede hacer el request
+   */
+  acquire() {
+    if (this.state === 'open' && !this.isOpen()) {
+      this.state = 'half_open';
+      logOperations.vtex.info('Circuit breaker de VTEX en prueba (half-open)');
+    }
+    if (this.state === 'closed') return 'request';
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return 'probe';
+    }
+    return false;
+  }
+
+  /**
+   * Libera el request de prueba cuando termina (con éxito, con error o cancelado)
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Indica si los requests están cortados, sin cambiar el estado
+   * Abierto hasta que vence el enfriamiento; en prueba, mientras el request de prueba está en curso
+   */
+  isOpen() {
+    if (this.state === 'open') return Date.now() - this.openedAt < this.cooldownMs;
+    return this.state === 'half_open' && this.probeInFlight;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logOperations.vtex.info('Circuit breaker de VTEX cerrado: se reanudan las publicaciones');
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.consecutiveFailures >= this.threshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logOperations.vtex.error(`Circuit breaker de VTEX abierto tras ${this.consecutiveFailures} fallos seguidos: publicaciones pausadas ${Math.round(this.cooldownMs / 1000)}s`, error);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      reopensAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      probeInFlight: this.probeInFlight,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Fábrica de instancias axios con reintentos y circuit breaker compartido
+ */
+class VtexHttpClient {
+  constructor(httpConfig = config.vtex.http) {
+    this.maxRetries = httpConfig.maxRetries;
+    this.baseDelayMs = httpConfig.baseDelayMs;
+    this.maxDelayMs = httpConfig.maxDelayMs;
+    this.breaker = new CircuitBreaker(httpConfig.circuitBreaker);
+    this.defaultAdapter = axios.getAdapter(axios.defaults.adapter);
+  }
+
+  /**
+   * Crea una instancia axios cuyos requests pasan por los reintentos y el circuit breaker
+   * Los reintentos ocurren en el adapter: los interceptors de la instancia ven un solo request
+   * @param {object} axiosConfig - Configuración de axios.create (baseURL, headers, timeout...)
+   */
+  create(axiosConfig = {}) {
+    return axios.create({
+      ...axiosConfig,
+      adapter: (requestConfig) => this.execute(requestConfig)
+    });
+  }
+
+  /**
+   * Ejecuta un request con reintentos
+   */
+  async execute(requestConfig) {
+    const ticket = this.breaker.acquire();
+    if (!ticket) {
+      const { reopensAt } = this.breaker.getStatus();
+      const reason = reopensAt ? `circuit breaker abierto hasta ${reopensAt}` : 'hay un request de prueba en curso';
+      throw createError.vtex(`Publicación pausada por fallos repetidos de VTEX (${reason})`, 503, this.breaker.getStatus());
+    }
+
+    try {
+      return await this.send(requestConfig);
+    } finally {
+      if (ticket === 'probe') this.breaker.releaseProbe();
+    }
+  }
+
+  /**
+   * Envía el request con el adapter por defecto, reintentando los errores transitorios
+   */
+  async send(requestConfig) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.defaultAdapter(requestConfig);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (axios.isCancel(error) || requestConfig.signal?.aborted) {
+          throw error;
+        }
+        if (!this.isRetryable(error)) {
+          // Un 4xx es un problema del request, no de disponibilidad de VTEX
+          if (!error.response) this.breaker.recordFailure(error);
+          throw error;
+        }
+
+        const delayMs = this.getRetryDelay(error, attempt);
+        if (attempt >= this.maxRetries || delayMs === null) {
+          this.breaker.recordFailure(error);
+          throw error;
+        }
+
+        logOperations.vtex.warn(`${requestConfig.method?.toUpperCase()} ${requestConfig.url} falló (${error.response?.status || error.code}), reintento ${attempt + 1}/${this.maxRetries} en ${delayMs}ms`);
+        await this.sleep(delayMs, requestConfig.signal);
+      }
+    }
+  }
+
+  /**
+   * 429, 5xx y errores de red transitorios se reintentan
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return error.response.status === 429 || error.response.status >= 500;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  /**
+   * Espera antes del próximo intento: Retry-After si VTEX lo envía, si no backoff exponencial con jitter
+   * @returns {number|null} null si Retry-After pide esperar más que maxDelayMs (no se reintenta)
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.maxDelayMs ? retryAfterMs : null;
+    }
+    // Full jitter: aleatorio entre 0 y el tope exponencial
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Retry-After en segundos o como fecha HTTP
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Espera cancelable con la señal del request
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Estado del circuit breaker
+   */
+  getStatus() {
+    return this.breaker.getStatus();
+  }
+
+  isOpen() {
+    return this.breaker.isOpen();
+  }
+}
+
+// Crear instancia singleton
+const vtexHttpClient = new VtexHttpClient();
+
+module.exports = vtexHttpClient;
@@ -3,10 +3,11 @@
  * Maneja la autenticación y envío de datos procesados
  */
 
-const axios = require('axios');
 const { config } = require('../config/env');
 const { logOperations } = require('../utils/logger');
 const { createError } = require('../utils/errorHandler');
+const vtexHttpClient = require('./vtexHttpClient');
+const vtexEnvironments = require('../config/vtexEnvironments');
 
 /**
  * Servicio principal para comunicación con VTEX
@@ -29,7 +30,8 @@ class VtexService {
    * Inicializa el cliente HTTP para VTEX
    */
   initializeApiClient() {
-    this.apiClient = axios.create({
+    // Cliente compartido: reintentos con backoff y circuit breaker
+    this.apiClient = vtexHttpClient.create({
       baseURL: config.vtex.apiUrl,
       timeout: 30000, // 30 segundos
       headers: {
@@ -105,68 +107,92 @@ class VtexService {
   }
 
   /**
-   * Envía datos a VTEX
+   * Publica los registros en Master Data v2 (dataentities)
+   * Cada documento se inserta o actualiza por id (PATCH, upsert) y, si deleteMissing está activo y todas las filas
+   * se publicaron, se eliminan los documentos de la entidad que ya no están en la planilla
+   * @param {object} jsonData - Salida del pipeline ({ metadata, sheets })
+   * @param {object} options - { fileTypeDef, environment, signal }: el tipo puede sobrescribir entidad e idField con `masterData`;
+   *   con ambiente se usa la URL base y las credenciales de ese ambiente en el registro de ambientes VTEX
+   * @returns {Promise<object>} { success, entity, idField, totalRecords, successfulRecords, failedRecords,
+   *   deletedRecords, failedDeletes, deleteError, deleteSkipped, results: [{ id, operation, success, status, error }], timestamp }
    */
-  async sendData(jsonData) {
+  async sendData(jsonData, options = {}) {
     try {
-      if (!jsonData || !Array.isArray(jsonData) || jsonData.length === 0) {
+      const settings = this.getMasterDataSettings(options.fileTypeDef, options.environment);
+      const { documents, invalid } = this.toDocuments(jsonData, settings.idField);
+      if (documents.length === 0 && invalid.length === 0) {
         throw createError.validation('No hay datos para enviar a VTEX');
       }
 
-      logOperations.vtex.info(`Iniciando envío de ${jsonData.length} registros a VTEX`);
+      logOperations.vtex.info(`Iniciando upsert de ${documents.length} documentos en Master Data (${settings.entity}, id: ${settings.idField})`);
 
-      // Procesar datos en lotes si es necesario
+      const results = [...invalid];
       const batchSize = this.getBatchSize();
-      const batches = this.createBatches(jsonData, batchSize);
+      const batches = this.createBatches(documents, batchSize);
 
-      logOperations.vtex.info(`Dividiendo en ${batches.length} lotes de máximo ${batchSize} registros`);
-
-      const results = [];
-      let successCount = 0;
-      let errorCount = 0;
-
-      // Procesar cada lote
       for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        logOperations.vtex.info(`Procesando lote ${i + 1}/${batches.length} (${batch.length} registros)`);
+        this.throwIfAborted(options.signal);
+        logOperations.vtex.info(`Procesando lote ${i + 1}/${batches.length} (${batches[i].length} documentos)`);
+        results.push(...await Promise.all(batches[i].map(document => this.upsertDocument(settings, document, options.signal))));
 
+        // Delay entre lotes para no sobrecargar la API
+        if (i < batches.length - 1) {
+          await this.delay(1000);
+        }
+      }
+
+      // Eliminar los documentos que ya no están en la planilla
+      // Solo si todas las filas se publicaron: con filas fallidas la planilla no refleja la entidad completa
+      let deleteError = null;
+      let deleteSkipped = false;
+      const failedUpserts = results.filter(result => result.operation === 'upsert' && !result.success).length;
+      if (settings.deleteMissing && failedUpserts > 0) {
+        deleteSkipped = true;
+        logOperations.vtex.warn(`No se eliminan documentos de ${settings.entity}: ${failedUpserts} fila(s) no se publicaron`);
+      } else if (settings.deleteMissing && documents.length > 0) {
         try {
-          const batchResult = await this.sendBatch(batch, i + 1);
-          results.push(batchResult);
-          successCount += batch.length;
-          
-          // Delay entre lotes para no sobrecargar la API
-          if (i < batches.length - 1) {
-            await this.delay(1000); // 1 segundo entre lotes
+          const currentIds = new Set(documents.map(document => document.id));
+          const missingIds = (await this.scrollDocumentIds(settings, options.signal)).filter(id => !currentIds.has(id));
+          if (missingIds.length > 0) {
+            logOperations.vtex.info(`Eliminando ${missingIds.length} documentos que ya no están en la planilla`);
           }
-
-        } catch (batchError) {
-          logOperations.vtex.error(`Error en lote ${i + 1}`, batchError);
-          errorCount += batch.length;
-          results.push({
-            batchNumber: i + 1,
-            success: false,
-            error: batchError.message,
-            recordCount: batch.length
-          });
+          for (const batch of this.createBatches(missingIds, batchSize)) {
+            this.throwIfAborted(options.signal);
+            results.push(...await Promise.all(batch.map(id => this.deleteDocument(settings, id, options.signal))));
+          }
+        } catch (error) {
+          if (error.type === 'CANCELLATION' || this.isAuthError(error)) throw error;
+          deleteError = error.message;
+          logOperations.vtex.error(`No se pudieron leer los documentos de ${settings.entity} para eliminar los faltantes`, error);
         }
       }
 
+      const upserts = results.filter(result => result.operation === 'upsert');
+      const deletes = results.filter(result => result.operation === 'delete');
+      const failedRecords = upserts.filter(result => !result.success).length;
+      const failedDeletes = deletes.filter(result => !result.success).length;
+
       const finalResult = {
-        success: errorCount === 0,
-        totalRecords: jsonData.length,
-        successfulRecords: successCount,
-        failedRecords: errorCount,
-        batchResults: results,
+        success: failedRecords === 0 && failedDeletes === 0 && !deleteError,
+        entity: settings.entity,
+        idField: settings.idField,
+        totalRecords: upserts.length,
+        successfulRecords: upserts.length - failedRecords,
+        failedRecords,
+        deletedRecords: deletes.length - failedDeletes,
+        failedDeletes,
+        deleteError,
+        deleteSkipped,
+        results,
         timestamp: new Date().toISOString()
       };
 
       this.lastResponse = finalResult;
 
-      if (errorCount === 0) {
-        logOperations.vtex.success(`Todos los datos enviados exitosamente a VTEX (${successCount} registros)`);
+      if (finalResult.success) {
+        logOperations.vtex.success(`Master Data actualizado (${finalResult.successfulRecords} documentos, ${finalResult.deletedRecords} eliminados)`);
       } else {
-        logOperations.vtex.warn(`Envío parcialmente exitoso: ${successCount} exitosos, ${errorCount} con errores`);
+        logOperations.vtex.warn(`Envío parcialmente exitoso: ${finalResult.successfulRecords} exitosos, ${failedRecords} con errores, ${failedDeletes} eliminaciones fallidas${deleteError ? `, ${deleteError}` : ''}`);
       }
 
       return finalResult;
@@ -178,55 +204,158 @@ class VtexService {
   }
 
   /**
-   * Envía un lote específico de datos
+   * Entidad, campo id y opciones de Master Data para un tipo de archivo
+   * `request` lleva la URL base y credenciales del ambiente (vacío: las de VTEX_API_URL / VTEX_APP_KEY)
    */
-  async sendBatch(batchData, batchNumber) {
-    try {
-  // Preparar payload para VTEX Portal Files
-  const payload = this.prepareVtexPortalPayload(batchData);
+  getMasterDataSettings(fileTypeDef = null, environment = null) {
+    const settings = { ...config.vtex.masterData, ...(fileTypeDef?.masterData || {}), request: {} };
+    if (!settings.entity) {
+      throw createError.validation('No hay entidad de Master Data configurada (VTEX_MD_ENTITY o masterData.entity del tipo)', 'entity');
+    }
+
+    const environmentDef = vtexEnvironments.get(environment);
+    if (environmentDef) {
+      const { appKey, appToken } = vtexEnvironments.getCredentials(environmentDef);
+      if (!appKey || !appToken) {
+        throw createError.validation(`Faltan las credenciales ${environmentDef.credentials}_APP_KEY / ${environmentDef.credentials}_APP_TOKEN del ambiente ${environmentDef.name}`, 'credentials');
+      }
+      settings.request = {
+        baseURL: environmentDef.baseUrl,
+        headers: { 'X-VTEX-API-AppKey': appKey, 'X-VTEX-API-AppToken': appToken }
+      };
+    }
+    return settings;
+  }
 
-  // Realizar la petición PUT
-  const response = await this.apiClient.put(config.vtex.endpoint, payload);
+  /**
+   * Convierte la salida del pipeline en documentos de Master Data
+   * Las filas sin valor en idField o con un id ya usado por otra fila (de la misma u otra hoja) se informan
+   * como fallidas; de un id repetido se publica la primera fila
+   * @param {string|Array<string>} idField - Campo (o campos, para un id compuesto) que identifica el documento
+   * @returns {{documents: Array<object>, invalid: Array<object>}}
+   */
+  toDocuments(jsonData, idField) {
+    const sheets = jsonData?.sheets;
+    const rows = Array.isArray(sheets)
+      ? sheets.map(row => ({ sheetName: null, row }))
+      : Object.entries(sheets || {})
+        .filter(([, sheetRows]) => Array.isArray(sheetRows))
+        .flatMap(([sheetName, sheetRows]) => sheetRows.map(row => ({ sheetName, row })));
+
+    const documents = new Map();
+    const origins = new Map();
+    const invalid = [];
+    for (const { sheetName, row } of rows) {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) continue;
+
+      const { _metadata, ...fields } = row;
+      const id = this.getDocumentId(fields, idField);
+      const where = [sheetName && `hoja ${sheetName}`, _metadata?.sourceRow && `fila ${_metadata.sourceRow}`].filter(Boolean).join(', ');
+      if (!id) {
+        invalid.push({ id: null, operation: 'upsert', success: false, status: null, error: `Documento sin ${[].concat(idField).join('/')}${where ? ` (${where})` : ''}` });
+        continue;
+      }
+      if (documents.has(id)) {
+        const first = origins.get(id);
+        invalid.push({ id, operation: 'upsert', success: false, status: null, error: `Documento ${id} repetido${where ? ` (${where})` : ''}: ya está${first ? ` en ${first}` : ' en otra fila'}` });
+        continue;
+      }
+      documents.set(id, { ...fields, id });
+      origins.set(id, where);
+    }
 
-      logOperations.vtex.success(`Lote ${batchNumber} enviado exitosamente`);
+    return { documents: [...documents.values()], invalid };
+  }
 
-      return {
-        batchNumber,
-        success: true,
-        recordCount: batchData.length,
-        vtexResponse: {
-          status: response.status,
-          statusText: response.statusText,
-          data: response.data
-        }
-      };
+  /**
+   * Id del documento: el valor de idField, o los valores de varios campos unidos por '_' si idField es una lista
+   * @returns {string|null}
+   */
+  getDocumentId(fields, idField) {
+    const values = [].concat(idField).map(field => {
+      const value = fields[field];
+      return value === undefined || value === null ? '' : String(value).trim();
+    });
+    return values.some(value => value !== '') ? values.join('_') : null;
+  }
 
+  /**
+   * Inserta o actualiza un documento (PATCH /dataentities/{entity}/documents)
+   */
+  async upsertDocument(settings, document, signal) {
+    try {
+      const response = await this.apiClient.patch(`/dataentities/${settings.entity}/documents`, document, {
+        ...settings.request,
+        params: this.getSchemaParams(settings),
+        signal
+      });
+      return { id: document.id, operation: 'upsert', success: true, status: response.status };
     } catch (error) {
-      logOperations.vtex.error(`Error enviando lote ${batchNumber}`, error);
-      throw error;
+      return this.toDocumentFailure(document.id, 'upsert', error, signal);
     }
   }
 
   /**
-   * Prepara el payload según el formato esperado por VTEX
+   * Elimina un documento (DELETE /dataentities/{entity}/documents/{id})
    */
+  async deleteDocument(settings, id, signal) {
+    try {
+      const response = await this.apiClient.delete(`/dataentities/${settings.entity}/documents/${encodeURIComponent(id)}`, {
+        ...settings.request,
+        params: this.getSchemaParams(settings),
+        signal
+      });
+      return { id, operation: 'delete', success: true, status: response.status };
+    } catch (error) {
+      return this.toDocumentFailure(id, 'delete', error, signal);
+    }
+  }
+
   /**
-   * Prepara el payload para VTEX Portal Files
-   * El formato esperado es:
-   * {
-   *   "path": "nombre.json",
-   *   "text": "{ ...json... }"
-   * }
+   * Lee los ids de todos los documentos de la entidad con la API de scroll
+   * La primera página devuelve el token (X-VTEX-MD-TOKEN) con el que se piden las siguientes
    */
-  prepareVtexPortalPayload(data) {
-    // Asume que data es un array con un solo objeto (el JSON completo)
-    // Si hay más de uno, se toma el primero
-    const jsonObject = Array.isArray(data) ? data[0] : data;
-    const fileName = jsonObject?.fileName || 'output.json';
-    return {
-      path: fileName,
-      text: JSON.stringify(jsonObject, null, 2)
-    };
+  async scrollDocumentIds(settings, signal) {
+    const ids = [];
+    let token = null;
+
+    for (;;) {
+      this.throwIfAborted(signal);
+      const params = token
+        ? { _token: token }
+        : { _size: settings.scrollSize, _fields: 'id', ...this.getSchemaParams(settings) };
+      const response = await this.apiClient.get(`/dataentities/${settings.entity}/scroll`, { ...settings.request, params, signal });
+
+      const page = Array.isArray(response.data) ? response.data : [];
+      if (page.length === 0) break;
+      ids.push(...page.map(document => String(document.id)));
+      token = response.headers['x-vtex-md-token'] || token;
+      if (!token) break;
+    }
+
+    return ids;
+  }
+
+  getSchemaParams(settings) {
+    return settings.schema ? { _schema: settings.schema } : {};
+  }
+
+  /**
+   * Resultado fallido de un documento
+   * Las cancelaciones y los errores de credenciales cortan todo el envío
+   */
+  toDocumentFailure(id, operation, error, signal) {
+    if (signal?.aborted) throw signal.reason;
+    if (this.isAuthError(error)) throw error;
+    return { id, operation, success: false, status: error.statusCode || null, error: error.message };
+  }
+
+  isAuthError(error) {
+    return error.type === 'VTEX_ERROR' && (error.statusCode === 401 || error.statusCode === 403);
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) throw signal.reason;
   }
 
   /**
@@ -253,6 +382,11 @@ class VtexService {
    * Maneja errores específicos de VTEX
    */
   handleVtexError(error) {
+    // Errores ya tipados (circuit breaker abierto, cancelación)
+    if (error.type === 'VTEX_ERROR' || error.type === 'CANCELLATION') {
+      return error;
+    }
+
     let statusCode = 500;
     let message = 'Error de comunicación con VTEX';
     let details = {};
@@ -311,6 +445,7 @@ class VtexService {
   getRequestStats() {
     return {
       ...this.requestStats,
+      circuitBreaker: vtexHttpClient.getStatus(),
       successRate: this.requestStats.totalRequests > 0 
         ? (this.requestStats.successfulRequests / this.requestStats.totalRequests * 100).toFixed(2) + '%'
         : '0%'
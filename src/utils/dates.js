@@ -0,0 +1,175 @@
+/**
+ * Utilidades de fechas
+ * - Celdas de fecha de Excel: se reconocen por su formato de celda, se leen según el sistema de fechas del libro
+ *   (1900 o 1904) y se publican con el formato de fecha del tipo de archivo (dateFormat en fileTypes.json)
+ * - Columnas de ventana de publicación de las hojas HOME (inicio/fin): cómo se reconocen y cómo se interpretan
+ * Las fechas de Excel no tienen zona horaria: se manejan como hora local ("wall time", expresada como UTC)
+ * y la zona horaria configurada solo se aplica al convertirlas a un instante (toInstant) o al informar el offset
+ */
+
+const XLSX = require('xlsx');
+
+// dd/mm/yyyy, opcionalmente con HH:MM o HH:MM:SS (también con guiones: dd-mm-yyyy)
+const DMY_PATTERN = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+// yyyy-mm-dd, opcionalmente con HH:MM o HH:MM:SS y offset (el formato 'iso')
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?(?:Z|[+-]\d{2}:\d{2})?$/;
+// Componentes de los formatos de salida (dd/mm/yyyy HH:MM:SS: mm es el mes y MM los minutos)
+const FORMAT_TOKENS = /yyyy|mm|dd|HH|MM|SS/g;
+
+/**
+ * Indica si una columna es el inicio o el fin de la ventana de publicación
+ * Se busca la palabra completa: "Fecha inicio" o fecha_fin sí, "Final" o "Definición" no
+ * @param {string} header - Encabezado original o nombre de campo normalizado
+ * @returns {'inicio'|'fin'|null}
+ */
+function getWindowBound(header) {
+  const words = String(header || '').toLowerCase().split(/[^a-z0-9áéíóúñ]+/);
+  if (words.includes('inicio')) return 'inicio';
+  if (words.includes('fin')) return 'fin';
+  return null;
+}
+
+/**
+ * Indica si una celda de Excel es una fecha (o una hora) según su formato de celda
+ * Requiere leer el libro con cellNF: true
+ */
+function isDateCell(cell) {
+  return Boolean(cell) && cell.t === 'n' && typeof cell.z === 'string' && XLSX.SSF.is_date(cell.z);
+}
+
+/**
+ * Indica si el libro usa el sistema de fechas 1904 (libros creados en Excel para Mac antiguos)
+ */
+function usesDate1904(workbook) {
+  return Boolean(workbook && workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+}
+
+/**
+ * Convierte un número de serie de Excel en hora local (wall time)
+ * @param {number} serial - Valor de la celda (días desde la época del libro)
+ * @param {boolean} date1904 - El libro usa el sistema de fechas 1904
+ * @returns {number|null} Milisegundos (como UTC) o null si no es una fecha válida
+ */
+function excelSerialToWallTime(serial, date1904 = false) {
+  const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+  if (!parts) return null;
+  return Date.UTC(parts.y, parts.m - 1, parts.d, parts.H, parts.M, parts.S);
+}
+
+/**
+ * Da formato a una hora local
+ * @param {number} wallTime - Hora local expresada como UTC (excelSerialToWallTime, parseWindowDate)
+ * @param {string} format - Patrón con yyyy, mm, dd, HH, MM, SS (ej: 'dd/mm/yyyy HH:MM:SS') o 'iso'
+ *   ('iso': yyyy-mm-ddTHH:MM:SS con el offset de la zona horaria, ej: 2025-05-01T10:00:00-05:00)
+ * @param {string} timeZone - Zona horaria IANA de la hora local (solo se usa en 'iso')
+ */
+function formatWallTime(wallTime, format, timeZone) {
+  const date = new Date(wallTime);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const values = {
+    yyyy: pad(date.getUTCFullYear(), 4),
+    mm: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    MM: pad(date.getUTCMinutes()),
+    SS: pad(date.getUTCSeconds())
+  };
+
+  if (format !== 'iso') {
+    return format.replace(FORMAT_TOKENS, token => values[token]);
+  }
+
+  const offsetMinutes = Math.round((wallTime - toInstant(wallTime, timeZone)) / 60000);
+  const offset = `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+  return `${values.yyyy}-${values.mm}-${values.dd}T${values.HH}:${values.MM}:${values.SS}${offset}`;
+}
+
+/**
+ * Interpreta una fecha de ventana (dd/mm/yyyy [HH:MM[:SS]] o yyyy-mm-dd [HH:MM[:SS]], como el formato 'iso')
+ * Devuelve la hora local: para compararla con el reloj hay que pasarla por toInstant (el offset se ignora)
+ * @param {string} value - Valor publicado en el JSON
+ * @returns {number|null} Milisegundos (como UTC) o null si no es una fecha válida
+ */
+function parseWindowDate(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  let parts = null;
+
+  const dmy = text.match(DMY_PATTERN);
+  if (dmy) {
+    parts = { day: dmy[1], month: dmy[2], year: dmy[3], hours: dmy[4], minutes: dmy[5], seconds: dmy[6] };
+  } else {
+    const iso = text.match(ISO_PATTERN);
+    if (iso) {
+      parts = { year: iso[1], month: iso[2], day: iso[3], hours: iso[4], minutes: iso[5], seconds: iso[6] };
+    }
+  }
+  if (!parts) return null;
+
+  const [year, month, day, hours, minutes, seconds] = [parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds]
+    .map(part => Number(part || 0));
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(time);
+
+  // Date.UTC acepta desbordes (31/02 → 03/03): la fecha tiene que existir tal cual
+  const exists = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && hours < 24 && minutes < 60 && seconds < 60;
+  return exists ? time : null;
+}
+
+/**
+ * Arma los pares inicio/fin de una fila
+ * Cada campo de inicio va con su fin (fecha_inicio → fecha_fin) o, si no lo hay, con el único campo de fin
+ * @param {Array<string>} fields - Campos de la fila
+ * @returns {Array<{start: string, end: string}>}
+ */
+function pairWindowFields(fields) {
+  const endFields = fields.filter(field => getWindowBound(field) === 'fin');
+  return fields
+    .filter(field => getWindowBound(field) === 'inicio')
+    .map(start => ({
+      start,
+      end: endFields.find(field => field === start.replace('inicio', 'fin')) || (endFields.length === 1 ? endFields[0] : null)
+    }))
+    .filter(pair => pair.end);
+}
+
+/**
+ * Diferencia (ms) entre la hora local de la zona horaria y UTC en un instante
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convierte una hora local (el resultado de parseWindowDate) al instante real en una zona horaria
+ * Ej: 01/05/2025 10:00 en America/Lima → 2025-05-01T15:00:00Z
+ * @param {number} wallTime - Hora local expresada como UTC
+ * @param {string} timeZone - Zona horaria IANA (ej: 'America/Lima')
+ * @returns {number} Milisegundos desde epoch
+ */
+function toInstant(wallTime, timeZone) {
+  const offset = getTimeZoneOffset(wallTime, timeZone);
+  const instant = wallTime - offset;
+  // Cerca de un cambio de horario el offset del instante puede ser otro
+  const adjusted = getTimeZoneOffset(instant, timeZone);
+  return adjusted === offset ? instant : wallTime - adjusted;
+}
+
+module.exports = {
+  getWindowBound,
+  isDateCell,
+  usesDate1904,
+  excelSerialToWallTime,
+  formatWallTime,
+  parseWindowDate,
+  pairWindowFields,
+  toInstant
+};
@@ -43,6 +43,37 @@ class ValidationError extends AppError {
   }
 }
 
+class SchemaValidationError extends AppError {
+  constructor(message, details = {}) {
+    super(`Error de validación de schema: ${message}`, 422);
+    this.details = details;
+    this.type = 'SCHEMA_VALIDATION_ERROR';
+  }
+}
+
+class BusinessRuleError extends AppError {
+  constructor(message, details = {}) {
+    super(`Error de reglas de negocio: ${message}`, 422);
+    this.details = details;
+    this.type = 'BUSINESS_RULE_ERROR';
+  }
+}
+
+class ApprovalMismatchError extends AppError {
+  constructor(message, details = {}) {
+    super(`El contenido no coincide con el aprobado: ${message}`, 409);
+    this.details = details;
+    this.type = 'APPROVAL_MISMATCH';
+  }
+}
+
+class CancellationError extends AppError {
+  constructor(message = 'Ejecución cancelada') {
+    super(message, 409);
+    this.type = 'CANCELLATION';
+  }
+}
+
 /**
  * Middleware de manejo de errores para Express
  */
@@ -139,7 +170,12 @@ const createError = {
   excel: (message, details) => new ExcelError(message, details),
   vtex: (message, statusCode, response) => new VtexError(message, statusCode, response),
   validation: (message, field) => new ValidationError(message, field),
+  schema: (message, details) => new SchemaValidationError(message, details),
+  rules: (message, details) => new BusinessRuleError(message, details),
+  approvalMismatch: (message, details) => new ApprovalMismatchError(message, details),
   notFound: (resource) => new AppError(`${resource} no encontrado`, 404),
+  conflict: (message) => new AppError(message, 409),
+  cancelled: (message) => new CancellationError(message),
   unauthorized: () => new AppError('No autorizado', 401),
   forbidden: () => new AppError('Acceso prohibido', 403),
   internal: (message) => new AppError(message || 'Error interno del servidor', 500)
@@ -198,6 +234,10 @@ module.exports = {
   ExcelError,
   VtexError,
   ValidationError,
+  SchemaValidationError,
+  BusinessRuleError,
+  ApprovalMismatchError,
+  CancellationError,
   errorHandler,
   catchAsync,
   createError,
@@ -0,0 +1,67 @@
+/**
+ * Almacén append-only en un archivo JSON lines (un registro JSON por línea)
+ * Las escrituras son síncronas: cada registro queda en disco antes de continuar
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Archivo JSON lines con lectura completa, append y reescritura (compactación)
+ */
+class JsonLinesStore {
+  /**
+   * @param {string} filePath - Ruta del archivo .jsonl
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Lee todos los registros del archivo
+   * Las líneas que no se pueden parsear (ej: escritura cortada por un crash) se descartan
+   * @returns {{records: Array<object>, invalidLines: number}}
+   */
+  readAll() {
+    if (!fs.existsSync(this.filePath)) {
+      return { records: [], invalidLines: 0 };
+    }
+
+    const records = [];
+    let invalidLines = 0;
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        invalidLines++;
+      }
+    }
+    return { records, invalidLines };
+  }
+
+  /**
+   * Agrega un registro al final del archivo
+   */
+  append(record) {
+    this.ensureDir();
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  /**
+   * Reemplaza el contenido del archivo por los registros dados
+   * Escribe en un archivo temporal y lo renombra para no dejar el archivo a medias
+   */
+  rewrite(records) {
+    this.ensureDir();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  ensureDir() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+}
+
+module.exports = JsonLinesStore;
@@ -0,0 +1,113 @@
+/**
+ * Mapa de origen de un JSON generado desde un Excel
+ * Relaciona cada registro del JSON (por su JSON pointer) con la hoja y fila de Excel de la que salió,
+ * y cada campo con su columna, para informar errores como "hoja X, fila 12, columna C"
+ * También junta las observaciones del processor (filas descartadas, valores corregidos) para el reporte de validación
+ */
+
+const XLSX = require('xlsx');
+
+/**
+ * Escapa un segmento de JSON pointer (RFC 6901)
+ */
+function escapeSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Construye un JSON pointer a partir de sus segmentos
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${escapeSegment(segment)}`).join('');
+}
+
+class SourceMap {
+  /**
+   * @param {Array<string>} base - Segmentos bajo los que quedan los registros en el JSON (ej: ['sheets'])
+   */
+  constructor(base = []) {
+    this.base = base;
+    this.records = new Map();
+    this.columns = {};
+    this.issues = [];
+  }
+
+  /**
+   * Registra una observación sobre una celda o fila del Excel
+   * @param {object} issue - { severity: 'error'|'warning', sheet, row, field, column, value, message }
+   *   Si no se indica column, se toma la del campo (ver setColumns)
+   */
+  addIssue(issue) {
+    const column = issue.column || (issue.field !== undefined && this.columns[issue.sheet] ? this.columns[issue.sheet][issue.field] : null);
+    this.issues.push({
+      severity: issue.severity || 'warning',
+      sheet: issue.sheet || null,
+      row: issue.row || null,
+      column: typeof column === 'string' ? column : (column ? column.column : null),
+      field: issue.field !== undefined ? String(issue.field) : null,
+      value: issue.value !== undefined ? issue.value : null,
+      message: issue.message
+    });
+  }
+
+  /**
+   * Registra de qué fila salió un registro del JSON
+   * @param {Array<string|number>} segments - Ubicación del registro, relativa a la base
+   * @param {object} origin - { sheet, row, column } (column solo si el registro sale de una celda puntual)
+   */
+  addRecord(segments, origin) {
+    this.records.set(toPointer([...this.base, ...segments]), origin);
+  }
+
+  /**
+   * Registro de una ubicación exacta
+   */
+  getRecord(segments) {
+    return this.records.get(toPointer([...this.base, ...segments])) || null;
+  }
+
+  /**
+   * Registra la columna de Excel de cada campo de una hoja
+   * @param {string} sheet - Hoja
+   * @param {object} fields - { campo: índice de columna (0 = A) }
+   * @param {Array<string>} headers - Encabezados de la hoja, por índice
+   */
+  setColumns(sheet, fields, headers = []) {
+    this.columns[sheet] = Object.fromEntries(Object.entries(fields).map(([field, index]) => [
+      field,
+      { column: XLSX.utils.encode_col(Number(index)), header: headers[index] !== undefined ? String(headers[index]) : null }
+    ]));
+  }
+
+  /**
+   * Ubica en el Excel un valor del JSON
+   * Busca el registro más cercano que contiene la ubicación; el segmento siguiente es el campo
+   * @param {string} pointer - JSON pointer del valor (ej: '/sheets/3/sellerId')
+   * @param {string|null} field - Campo, si el pointer apunta al registro (ej: una propiedad faltante)
+   * @returns {{sheet: string|null, row: number|null, column: string|null, header: string|null, field: string|null}}
+   */
+  locate(pointer, field = null) {
+    const segments = pointer.split('/').slice(1);
+
+    for (let length = segments.length; length > 0; length--) {
+      const origin = this.records.get(`/${segments.slice(0, length).join('/')}`);
+      if (!origin) continue;
+
+      const key = field !== null && length === segments.length
+        ? field
+        : (segments[length] !== undefined ? segments[length].replace(/~1/g, '/').replace(/~0/g, '~') : null);
+      const column = key !== null && this.columns[origin.sheet] ? this.columns[origin.sheet][key] : null;
+      return {
+        sheet: origin.sheet,
+        row: origin.row,
+        column: column ? column.column : (origin.column || null),
+        header: column ? column.header : null,
+        field: key
+      };
+    }
+
+    return { sheet: null, row: null, column: null, header: null, field };
+  }
+}
+
+module.exports = SourceMap;
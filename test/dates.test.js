@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { useTestEnvironment } = require('./helpers');
+
+useTestEnvironment({ EXCEL_TIMEZONE: 'America/Lima' });
+const {
+  getWindowBound,
+  isDateCell,
+  usesDate1904,
+  excelSerialToWallTime,
+  formatWallTime,
+  parseWindowDate,
+  pairWindowFields,
+  toInstant
+} = require('../src/utils/dates');
+const excelService = require('../src/services/excelService');
+const fileTypeRegistry = require('../src/config/fileTypes');
+
+// 01/05/2025 10:00 como número de serie en cada sistema de fechas
+const SERIAL_1900 = 45778 + 10 / 24;
+const SERIAL_1904 = SERIAL_1900 - 1462;
+const MAY_FIRST_10AM = Date.UTC(2025, 4, 1, 10, 0, 0);
+
+describe('utils/dates', () => {
+  describe('getWindowBound', () => {
+    it('reconoce inicio y fin como palabra completa', () => {
+      assert.equal(getWindowBound('Fecha inicio'), 'inicio');
+      assert.equal(getWindowBound('fecha_fin'), 'fin');
+      assert.equal(getWindowBound('FIN'), 'fin');
+    });
+
+    it('no confunde palabras que contienen fin', () => {
+      assert.equal(getWindowBound('Final'), null);
+      assert.equal(getWindowBound('Definición'), null);
+      assert.equal(getWindowBound(undefined), null);
+    });
+  });
+
+  describe('números de serie de Excel', () => {
+    it('lee el sistema 1900', () => {
+      assert.equal(excelSerialToWallTime(SERIAL_1900), MAY_FIRST_10AM);
+    });
+
+    it('lee el sistema 1904 (Excel para Mac antiguo)', () => {
+      assert.equal(excelSerialToWallTime(SERIAL_1904, true), MAY_FIRST_10AM);
+      assert.notEqual(excelSerialToWallTime(SERIAL_1904, false), MAY_FIRST_10AM);
+    });
+
+    it('detecta el sistema del libro y las celdas de fecha por su formato', () => {
+      assert.equal(usesDate1904({ Workbook: { WBProps: { date1904: true } } }), true);
+      assert.equal(usesDate1904({}), false);
+      assert.equal(isDateCell({ t: 'n', v: SERIAL_1900, z: 'dd/mm/yyyy hh:mm' }), true);
+      assert.equal(isDateCell({ t: 'n', v: 12, z: '0.00' }), false);
+      assert.equal(isDateCell({ t: 's', v: '01/05/2025' }), false);
+    });
+  });
+
+  describe('formatWallTime', () => {
+    it('aplica los patrones (mm es el mes y MM los minutos)', () => {
+      assert.equal(formatWallTime(Date.UTC(2025, 4, 1, 10, 7, 9), 'dd/mm/yyyy HH:MM:SS'), '01/05/2025 10:07:09');
+      assert.equal(formatWallTime(MAY_FIRST_10AM, 'dd/mm/yyyy'), '01/05/2025');
+    });
+
+    it("'iso' informa el offset de la zona horaria en esa fecha", () => {
+      assert.equal(formatWallTime(MAY_FIRST_10AM, 'iso', 'America/Lima'), '2025-05-01T10:00:00-05:00');
+      assert.equal(formatWallTime(Date.UTC(2025, 0, 15, 10), 'iso', 'Europe/Madrid'), '2025-01-15T10:00:00+01:00');
+      assert.equal(formatWallTime(Date.UTC(2025, 6, 15, 10), 'iso', 'Europe/Madrid'), '2025-07-15T10:00:00+02:00');
+    });
+  });
+
+  describe('toInstant', () => {
+    it('convierte la hora local al instante real', () => {
+      assert.equal(new Date(toInstant(MAY_FIRST_10AM, 'America/Lima')).toISOString(), '2025-05-01T15:00:00.000Z');
+      assert.equal(new Date(toInstant(MAY_FIRST_10AM, 'UTC')).toISOString(), '2025-05-01T10:00:00.000Z');
+    });
+
+    it('usa el offset que corresponde a cada lado de un cambio de horario', () => {
+      assert.equal(new Date(toInstant(Date.UTC(2025, 2, 29, 12), 'Europe/Madrid')).toISOString(), '2025-03-29T11:00:00.000Z');
+      assert.equal(new Date(toInstant(Date.UTC(2025, 2, 31, 12), 'Europe/Madrid')).toISOString(), '2025-03-31T10:00:00.000Z');
+    });
+  });
+
+  describe('parseWindowDate', () => {
+    it('acepta dd/mm/yyyy e ISO, con o sin hora', () => {
+      assert.equal(parseWindowDate('01/05/2025 10:00'), MAY_FIRST_10AM);
+      assert.equal(parseWindowDate('01-05-2025 10:00:00'), MAY_FIRST_10AM);
+      assert.equal(parseWindowDate('2025-05-01T10:00:00-05:00'), MAY_FIRST_10AM);
+      assert.equal(parseWindowDate('01/05/2025'), Date.UTC(2025, 4, 1));
+    });
+
+    it('rechaza fechas que no existen o que no se pueden interpretar', () => {
+      assert.equal(parseWindowDate('31/02/2025'), null);
+      assert.equal(parseWindowDate('01/05/2025 25:00'), null);
+      assert.equal(parseWindowDate('mañana'), null);
+      assert.equal(parseWindowDate(null), null);
+    });
+  });
+
+  describe('pairWindowFields', () => {
+    it('empareja cada inicio con su fin', () => {
+      assert.deepEqual(
+        pairWindowFields(['sku', 'fecha_inicio', 'fecha_fin', 'promo_inicio', 'promo_fin']),
+        [{ start: 'fecha_inicio', end: 'fecha_fin' }, { start: 'promo_inicio', end: 'promo_fin' }]
+      );
+    });
+
+    it('con un solo fin lo usa para cualquier inicio', () => {
+      assert.deepEqual(pairWindowFields(['desde_inicio', 'fin']), [{ start: 'desde_inicio', end: 'fin' }]);
+    });
+  });
+
+  describe('excelService.typeDateCells', () => {
+    const buildWorkbook = (serial, date1904) => {
+      const worksheet = XLSX.utils.aoa_to_sheet([['fecha'], [0]]);
+      worksheet.A2 = { t: 'n', v: serial, z: 'm/d/yy h:mm' };
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'RD');
+      workbook.Workbook = { ...workbook.Workbook, WBProps: { date1904 } };
+      return workbook;
+    };
+
+    it('publica las fechas con el dateFormat del tipo en los dos sistemas de fechas', () => {
+      const home = fileTypeRegistry.get('home');
+      for (const [serial, date1904] of [[SERIAL_1900, false], [SERIAL_1904, true]]) {
+        const workbook = buildWorkbook(serial, date1904);
+        assert.equal(excelService.typeDateCells(workbook, home), 1);
+        assert.equal(workbook.Sheets.RD.A2.v, '01/05/2025 10:00:00');
+      }
+    });
+
+    it("con dateFormat 'excel' deja el texto con el formato de la celda", () => {
+      const workbook = buildWorkbook(SERIAL_1900, false);
+      const cell = workbook.Sheets.RD.A2;
+      assert.equal(excelService.typeDateCells(workbook, fileTypeRegistry.get('sellers')), 0);
+      assert.equal(workbook.Sheets.RD.A2, cell);
+    });
+  });
+});
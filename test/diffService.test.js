@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./helpers');
+
+useTestEnvironment();
+const diffService = require('../src/services/diffService');
+
+const row = (sourceRow, fields) => ({ ...fields, _metadata: { sourceRow } });
+
+describe('diffService', () => {
+  describe('filas HOME (sheets)', () => {
+    it('identifica las filas por sku cuando es único en los dos lados', () => {
+      const previous = { RD: [row(2, { sku: '1', precio: 10 }), row(3, { sku: '2', precio: 20 })] };
+      const current = { RD: [row(2, { sku: '2', precio: 25 }), row(3, { sku: '3', precio: 30 })] };
+
+      const { sheets, totals } = diffService.diff('sheets', previous, current);
+      assert.deepEqual(totals, { added: 1, removed: 1, changed: 1 });
+      assert.deepEqual(sheets.RD.added.map(entry => entry.key), ['sku=3']);
+      assert.deepEqual(sheets.RD.removed.map(entry => entry.key), ['sku=1']);
+      assert.deepEqual(sheets.RD.changed, [{ key: 'sku=2', fields: [{ field: 'precio', before: 20, after: 25 }] }]);
+    });
+
+    it('mover una fila dentro del Excel no es un cambio', () => {
+      const previous = { RD: [row(2, { sku: '1' }), row(3, { sku: '2' })] };
+      const current = { RD: [row(2, { sku: '2' }), row(3, { sku: '1' })] };
+      assert.deepEqual(diffService.diff('sheets', previous, current).totals, { added: 0, removed: 0, changed: 0 });
+    });
+
+    it('si el sku se repite en un solo lado, los dos lados se identifican por fila', () => {
+      const previous = { RD: [row(2, { sku: '1', precio: 10 }), row(3, { sku: '2', precio: 20 })] };
+      const current = { RD: [row(2, { sku: '1', precio: 10 }), row(3, { sku: '1', precio: 20 })] };
+
+      const { sheets, totals } = diffService.diff('sheets', previous, current);
+      assert.deepEqual(totals, { added: 0, removed: 0, changed: 1 });
+      assert.deepEqual(sheets.RD.changed, [{ key: 'fila 3', fields: [{ field: 'sku', before: '2', after: '1' }] }]);
+    });
+
+    it('usa el siguiente campo candidato cuando sku no sirve', () => {
+      const previous = { RD: [row(2, { id: 'a', nombre: 'x' })] };
+      const current = { RD: [row(2, { id: 'a', nombre: 'y' })] };
+      assert.deepEqual(diffService.diff('sheets', previous, current).sheets.RD.changed[0].key, 'id=a');
+    });
+
+    it('la metadata de las filas no participa en la comparación', () => {
+      const previous = { RD: [row(2, { sku: '1' })] };
+      const current = { RD: [row(9, { sku: '1' })] };
+      assert.equal(diffService.diff('sheets', previous, current).totals.changed, 0);
+    });
+
+    it('sin versión publicada todas las filas son nuevas', () => {
+      const { summary } = diffService.diff('sheets', null, { RD: [row(2, { sku: '1' })], skus: [] });
+      assert.deepEqual(summary, { RD: { added: 1, removed: 0, changed: 0 }, skus: { added: 0, removed: 0, changed: 0 } });
+    });
+  });
+
+  describe('otros processors', () => {
+    it('matrix: identifica cada fila por su primera columna e ignora los encabezados repetidos', () => {
+      const previous = [['codigo', 'nombre'], ['A', 'uno'], ['codigo', 'nombre'], ['B', 'dos']];
+      const current = [['codigo', 'nombre'], ['B', 'DOS'], ['C', 'tres']];
+
+      const { sheets } = diffService.diff('matrix', previous, current, 'DESPACHO');
+      assert.deepEqual(sheets.DESPACHO.added.map(entry => entry.key), ['C']);
+      assert.deepEqual(sheets.DESPACHO.removed.map(entry => entry.key), ['A']);
+      assert.deepEqual(sheets.DESPACHO.changed.map(entry => entry.key), ['B']);
+    });
+
+    it('sellers y blacklist: identifican por sus campos de negocio', () => {
+      const sellers = diffService.diff('sellers', [{ sellerId: 1, stars: 4 }], [{ sellerId: 1, stars: 5 }]);
+      assert.equal(sellers.sheets.data.changed[0].key, '1');
+
+      const blacklist = diffService.diff('blacklist', [{ seller: 's', sku: '1', page: 'pdp' }], [{ seller: 's', sku: '1', page: 'plp' }]);
+      assert.deepEqual(blacklist.totals, { added: 1, removed: 1, changed: 0 });
+    });
+
+    it('variantes: identifica por la ruta del árbol', () => {
+      const previous = { d1: { atributo: 'color', categorias: { c1: { atributo: 'talla', subcategorias: { s1: 'peso' } } } } };
+      const current = { d1: { atributo: 'color', categorias: { c1: { atributo: 'talla', subcategorias: { s1: 'largo' } } } } };
+      assert.deepEqual(diffService.diff('variantes', previous, current).sheets.data.changed.map(entry => entry.key), ['d1/c1/s1']);
+    });
+  });
+});
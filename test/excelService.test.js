@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment, startFakeVtex, writeWorkbook } = require('./helpers');
+
+const { rootDir, bucketDir } = useTestEnvironment();
+
+const DESTACADOS_SHEETS = ['Categoria', 'Colecciones', 'Top Categorias'];
+
+describe('excelService.processExcel', () => {
+  let vtex;
+  let excelService;
+  let processStatus;
+  let publicationService;
+  let getStorage;
+
+  before(async () => {
+    vtex = await startFakeVtex(rootDir);
+    excelService = require('../src/services/excelService');
+    processStatus = require('../src/services/processStatus');
+    publicationService = require('../src/services/publicationService');
+    ({ getStorage } = require('../src/services/storage'));
+  });
+
+  after(() => vtex.close());
+
+  beforeEach(() => {
+    fs.rmSync(bucketDir, { recursive: true, force: true });
+    vtex.requests.length = 0;
+    vtex.setHandler(() => ({ status: 200 }));
+  });
+
+  /**
+   * Deja un Excel de destacados en la cola con una fila por hoja (el código de la fila identifica la carga)
+   */
+  const queueDestacados = (fileName, code) => {
+    writeWorkbook(
+      path.join(bucketDir, 'Archivos_sheets', fileName),
+      Object.fromEntries(DESTACADOS_SHEETS.map(sheet => [sheet, [['codigo', 'nombre'], [code, sheet]]]))
+    );
+    return { bucketFilePath: `Archivos_sheets/${fileName}`, fileName };
+  };
+
+  /**
+   * Procesa un Excel como una ejecución propia (como lo hace pipelineService.run)
+   * @returns {Promise<{executionId: string, result: object|null, error: Error|null}>}
+   */
+  const run = async (pendingFile, options = {}) => {
+    const executionId = processStatus.startProcess('auto', { sourceFile: pendingFile.fileName });
+    try {
+      const result = await excelService.processExcel(pendingFile, { executionId, ...options });
+      processStatus.completeProcess(0, null, { success: true });
+      return { executionId, result, error: null };
+    } catch (error) {
+      processStatus.completeProcess(0, error);
+      return { executionId, result: null, error };
+    }
+  };
+
+  // Archivos subidos al portal, en orden, con el código que llevaba cada uno
+  const uploads = () => vtex.requests
+    .filter(request => request.method === 'PUT')
+    .map(request => `${request.body.path}:${request.body.text.match(/"(v\d+)"/)[1]}`);
+
+  const exists = name => getStorage().exists(name);
+
+  it('publica cada hoja, registra sus versiones y archiva el Excel', async () => {
+    const { result, error } = await run(queueDestacados('DESTACADOS_RD_1.xlsx', 'v1'));
+
+    assert.equal(error, null);
+    assert.deepEqual(uploads(), [
+      'destacados_categoria.json:v1',
+      'destacados_colecciones.json:v1',
+      'destacados_top_categorias.json:v1'
+    ]);
+    assert.equal(result.archivePath, 'Publicaciones_json_vtex/DESTACADOS_RD_1.xlsx');
+    assert.equal(await exists('Archivos_sheets/DESTACADOS_RD_1.xlsx'), false);
+    assert.equal(await exists('Publicaciones_json_vtex/DESTACADOS_RD_1.xlsx'), true);
+
+    const versions = await publicationService.listVersions('destacados_colecciones.json', 'promartrd');
+    assert.equal(versions.length, 1);
+    assert.equal(versions[0].sourceFile, 'DESTACADOS_RD_1.xlsx');
+  });
+
+  it('no vuelve a subir un contenido igual al publicado aunque cambie el nombre del Excel', async () => {
+    await run(queueDestacados('DESTACADOS_RD_1.xlsx', 'v1'));
+    vtex.requests.length = 0;
+
+    const { result, error } = await run(queueDestacados('DESTACADOS_RD_2.xlsx', 'v1'));
+    assert.equal(error, null);
+    assert.deepEqual(uploads(), []);
+    assert.ok(result.publications.every(publication => publication.unchanged));
+  });
+
+  it('si falla una subida no sigue publicando, revierte lo publicado y pone el Excel en cuarentena', async () => {
+    await run(queueDestacados('DESTACADOS_RD_1.xlsx', 'v1'));
+    vtex.requests.length = 0;
+    vtex.setHandler(request => ({
+      status: request.body.path === 'destacados_colecciones.json' && request.body.text.includes('"v2"') ? 400 : 200
+    }));
+
+    const { error } = await run(queueDestacados('DESTACADOS_RD_2.xlsx', 'v2'));
+
+    assert.equal(error.type, 'VTEX_ERROR');
+    assert.equal(error.stage, 'publish');
+    // Top Categorias no se publica; Categoria vuelve a v1 y Colecciones se restaura por si VTEX llegó a aplicarla
+    assert.deepEqual(uploads(), [
+      'destacados_categoria.json:v2',
+      'destacados_colecciones.json:v2',
+      'destacados_categoria.json:v1',
+      'destacados_colecciones.json:v1'
+    ]);
+
+    assert.equal(await exists('Archivos_sheets/DESTACADOS_RD_2.xlsx'), false);
+    assert.equal(await exists('Errores/DESTACADOS_RD_2.xlsx'), true);
+    const report = JSON.parse((await getStorage().read('Errores/DESTACADOS_RD_2.xlsx.error.json')).toString());
+    assert.equal(report.stage, 'publish');
+    assert.deepEqual(report.details.revert.reverted, ['destacados_categoria.json', 'destacados_colecciones.json']);
+    assert.deepEqual(report.details.revert.notReverted, []);
+
+    const [latest] = await publicationService.listVersions('destacados_categoria.json', 'promartrd');
+    assert.equal(latest.trigger, 'revert');
+  });
+
+  it('una cancelación durante la publicación revierte lo publicado y deja el Excel en la cola', async () => {
+    await run(queueDestacados('DESTACADOS_RD_1.xlsx', 'v1'));
+    vtex.requests.length = 0;
+    let executionId = null;
+    vtex.setHandler(request => {
+      if (request.body.path === 'destacados_colecciones.json' && request.body.text.includes('"v2"')) {
+        processStatus.cancelProcess('prueba', executionId);
+        return null; // La subida queda colgada hasta que la corta la cancelación
+      }
+      return { status: 200 };
+    });
+
+    const pendingFile = queueDestacados('DESTACADOS_RD_2.xlsx', 'v2');
+    const running = run(pendingFile);
+    executionId = processStatus.getCurrentExecution().id;
+    const { error } = await running;
+
+    assert.equal(error.type, 'CANCELLATION');
+    assert.deepEqual(error.details.reverted, ['destacados_categoria.json', 'destacados_colecciones.json']);
+    assert.equal(await exists('Archivos_sheets/DESTACADOS_RD_2.xlsx'), true);
+    assert.equal(await exists('Errores/DESTACADOS_RD_2.xlsx'), false);
+    assert.equal(processStatus.getExecution(executionId).status, 'cancelled');
+  });
+
+  it('no publica nada si el JSON no cumple el schema', async () => {
+    const fileName = 'SELLERS_RD_1.xlsx';
+    writeWorkbook(path.join(bucketDir, 'Archivos_sheets', fileName), {
+      Sheet1: [['Seller', 'Calificacion estrellas'], ['s1', 9]]
+    });
+
+    const { error } = await run({ bucketFilePath: `Archivos_sheets/${fileName}`, fileName });
+
+    assert.equal(error.type, 'SCHEMA_VALIDATION_ERROR');
+    assert.equal(error.stage, 'schema');
+    assert.deepEqual(uploads(), []);
+    assert.equal(await exists(`Errores/${fileName}`), true);
+    const report = JSON.parse((await getStorage().read(`Errores/${fileName}.error.json`)).toString());
+    assert.equal(report.errorType, 'SCHEMA_VALIDATION_ERROR');
+    assert.equal(report.sheet, 'Sheet1');
+  });
+
+  it('en dry-run no sube, no mueve ni registra nada', async () => {
+    const pendingFile = queueDestacados('DESTACADOS_RD_1.xlsx', 'v1');
+    const { result, error } = await run(pendingFile, { dryRun: true });
+
+    assert.equal(error, null);
+    assert.equal(result.publications.length, 3);
+    assert.ok(result.publications.every(publication => publication.dryRun && publication.target.account === 'promartrd'));
+    assert.deepEqual(uploads(), []);
+    assert.equal(await exists('Archivos_sheets/DESTACADOS_RD_1.xlsx'), true);
+    assert.deepEqual(await publicationService.listVersions('destacados_categoria.json'), []);
+  });
+});
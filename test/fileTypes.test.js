@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment } = require('./helpers');
+
+const { rootDir } = useTestEnvironment();
+const fileTypeRegistry = require('../src/config/fileTypes');
+
+/**
+ * Crea un registro a partir de una configuración propia del test
+ */
+function createRegistry(config) {
+  const configPath = path.join(rootDir, `fileTypes-${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return new fileTypeRegistry.constructor(configPath);
+}
+
+const minimalType = {
+  type: 'prueba',
+  prefix: 'PRUEBA_',
+  allowedSheets: ['Hoja1'],
+  processor: 'matrix',
+  outputFileName: 'prueba.json',
+  archivePrefix: 'prueba'
+};
+
+describe('fileTypeRegistry', () => {
+  describe('resolve', () => {
+    it('detecta el tipo por el prefijo sin importar mayúsculas', () => {
+      assert.equal(fileTypeRegistry.resolve('HOME_RD_2025_10_28.xlsx').type, 'home');
+      assert.equal(fileTypeRegistry.resolve('locations_prd_1.xlsx').type, 'locations');
+      assert.equal(fileTypeRegistry.resolve('DESTACADOS_RD_1.xlsx').type, 'destacados');
+    });
+
+    it('ignora los símbolos iniciales solo en los tipos que lo declaran', () => {
+      assert.equal(fileTypeRegistry.resolve('~$BLACKLIST_RD_1.xlsx').type, 'blacklist');
+      assert.equal(fileTypeRegistry.resolve('~$HOME_RD_1.xlsx'), null);
+    });
+
+    it('un archivo desconocido usa la definición fallback', () => {
+      assert.equal(fileTypeRegistry.resolve('OTRO_1.xlsx'), null);
+      assert.equal(fileTypeRegistry.resolveOrFallback('OTRO_1.xlsx').type, 'unknown');
+    });
+  });
+
+  describe('detectEnvironment', () => {
+    it('toma el token que sigue al prefijo', () => {
+      assert.equal(fileTypeRegistry.detectEnvironment('HOME_RD_2025.xlsx'), 'RD');
+      assert.equal(fileTypeRegistry.detectEnvironment('SELLERS_PRD_2025.xlsx'), 'PRD');
+    });
+
+    it('devuelve null sin token de ambiente o con un ambiente no registrado', () => {
+      assert.equal(fileTypeRegistry.detectEnvironment('HOME_2025.xlsx'), null);
+      assert.equal(fileTypeRegistry.detectEnvironment('HOME_QA_2025.xlsx'), null);
+      assert.equal(fileTypeRegistry.detectEnvironment('OTRO_RD_2025.xlsx'), null);
+    });
+
+    it('no confunde un ambiente con el comienzo de otro token', () => {
+      assert.equal(fileTypeRegistry.detectEnvironment('HOME_RDX_2025.xlsx'), null);
+    });
+  });
+
+  describe('sendsToDataEntities', () => {
+    const sends = fileName => fileTypeRegistry.sendsToDataEntities(
+      fileTypeRegistry.resolveOrFallback(fileName),
+      fileTypeRegistry.detectEnvironment(fileName)
+    );
+
+    it('envía todos los HOME salvo los de PRD', () => {
+      assert.equal(sends('HOME_RD_1.xlsx'), true);
+      assert.equal(sends('HOME_PRD_1.xlsx'), false);
+      assert.equal(sends('HOME_1.xlsx'), true);
+      assert.equal(sends('HOME_QA_1.xlsx'), true);
+    });
+
+    it('respeta los tipos que solo van al portal', () => {
+      for (const fileName of ['LOCATIONS_RD_1.xlsx', 'SELLERS_RD_1.xlsx', 'DESTACADOS_RD_1.xlsx', 'VARIANTES_RD_1.xlsx']) {
+        assert.equal(sends(fileName), false, fileName);
+      }
+      assert.equal(sends('BLACKLIST_RD_1.xlsx'), true);
+      assert.equal(sends('OTRO_1.xlsx'), true);
+    });
+
+    it('sin definición no envía nada', () => {
+      assert.equal(fileTypeRegistry.sendsToDataEntities(null, 'RD'), false);
+    });
+  });
+
+  describe('nombres de salida', () => {
+    it('reemplaza {sheet} por el nombre de la hoja en slug', () => {
+      const def = fileTypeRegistry.get('destacados');
+      assert.equal(fileTypeRegistry.getOutputFileName(def, 'Top Categorias'), 'destacados_top_categorias.json');
+      assert.equal(fileTypeRegistry.getArchivePrefix(def), 'destacados');
+    });
+  });
+
+  describe('validación de la configuración', () => {
+    it('completa los campos opcionales', () => {
+      const registry = createRegistry({ fileTypes: [minimalType] });
+      const def = registry.get('prueba');
+      assert.equal(def.dataEntities, false);
+      assert.equal(def.dateFormat, 'iso');
+      assert.equal(def.schema, 'prueba.schema.json');
+    });
+
+    it('rechaza definiciones sin campos requeridos o con processor desconocido', () => {
+      const { outputFileName, ...withoutOutput } = minimalType;
+      assert.throws(() => createRegistry({ fileTypes: [withoutOutput] }), /sin campos requeridos: outputFileName/);
+      assert.throws(() => createRegistry({ fileTypes: [{ ...minimalType, processor: 'otro' }] }), /processor desconocido/);
+    });
+
+    it('rechaza un dataEntities como lista de ambientes', () => {
+      assert.throws(() => createRegistry({ fileTypes: [{ ...minimalType, dataEntities: ['RD'] }] }), /dataEntities inválido/);
+    });
+
+    it('rechaza un dateFormat sin componentes de fecha', () => {
+      assert.throws(() => createRegistry({ fileTypes: [{ ...minimalType, dateFormat: 'fecha' }] }), /dateFormat inválido/);
+      assert.doesNotThrow(() => createRegistry({ fileTypes: [{ ...minimalType, dateFormat: 'excel' }] }));
+    });
+  });
+});
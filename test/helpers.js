@@ -0,0 +1,116 @@
+/**
+ * Utilidades compartidas por los tests
+ * Cada archivo de test corre en su propio proceso (node --test): useTestEnvironment() apunta
+ * el almacenamiento, el historial, los logs y el JSON de salida a un directorio temporal
+ * antes de cargar cualquier módulo de src/ (la configuración se lee al requerirlos)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+/**
+ * Configura las variables de entorno de un archivo de test
+ * @param {object} overrides - Variables adicionales (ej: { VTEX_MAX_RETRIES: '0' })
+ * @returns {{rootDir: string, bucketDir: string}}
+ */
+function useTestEnvironment(overrides = {}) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-vtex-test-'));
+  const bucketDir = path.join(rootDir, 'bucket');
+  process.on('exit', () => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'local',
+    STORAGE_LOCAL_DIR: bucketDir,
+    HISTORY_FILE: path.join(rootDir, 'history.jsonl'),
+    OUTPUT_JSON_PATH: path.join(rootDir, 'output.json'),
+    LOG_DIR: path.join(rootDir, 'logs'),
+    LOCK_ENABLED: 'false',
+    DRY_RUN: 'false',
+    HOME_WINDOW_FILTER: 'false',
+    VTEX_APP_KEY: 'test-key',
+    VTEX_APP_TOKEN: 'test-token',
+    VTEX_MAX_RETRIES: '0',
+    ...overrides
+  });
+
+  // Los logs van a los archivos del directorio temporal, no a la consola del test
+  require('../src/utils/logger').logger.silent = true;
+
+  return { rootDir, bucketDir };
+}
+
+/**
+ * Levanta un servidor HTTP que simula VTEX y registra cada request
+ * El handler decide la respuesta: (request, body) => ({ status, headers, body }) o una promesa
+ * Define un registro de ambientes VTEX (RD/PRD) que apunta al servidor
+ * @returns {Promise<{requests: Array, setHandler: Function, close: Function, baseUrl: string}>}
+ */
+async function startFakeVtex(rootDir) {
+  const requests = [];
+  let handler = () => ({ status: 200, body: {} });
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      const request = { method: req.method, url: req.url, body };
+      requests.push(request);
+
+      const response = await handler(request);
+      if (!response) return; // Sin respuesta: el request queda colgado (cancelaciones)
+      res.writeHead(response.status, { 'Content-Type': 'application/json', ...(response.headers || {}) });
+      res.end(JSON.stringify(response.body || {}));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const environmentsPath = path.join(rootDir, 'vtexEnvironments.json');
+  fs.writeFileSync(environmentsPath, JSON.stringify({
+    default: 'RD',
+    environments: [
+      { name: 'RD', account: 'promartrd', baseUrl, allowedFileTypes: '*', promoteTo: 'PRD' },
+      { name: 'PRD', account: 'promart', baseUrl, allowedFileTypes: '*' }
+    ]
+  }));
+  process.env.VTEX_ENVIRONMENTS_CONFIG = environmentsPath;
+  process.env.VTEX_API_URL = baseUrl;
+
+  return {
+    baseUrl,
+    requests,
+    setHandler: fn => { handler = fn; },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Escribe un Excel con una hoja por entrada de `sheets` ({ nombre: [[encabezados], ...filas] })
+ */
+function writeWorkbook(filePath, sheets) {
+  const XLSX = require('xlsx');
+  const workbook = XLSX.utils.book_new();
+  for (const [sheetName, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  XLSX.writeFile(workbook, filePath);
+}
+
+module.exports = {
+  useTestEnvironment,
+  startFakeVtex,
+  writeWorkbook
+};
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment } = require('./helpers');
+
+const { bucketDir } = useTestEnvironment();
+const LocalStorage = require('../src/services/storage/localStorage');
+
+describe('LocalStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    fs.rmSync(bucketDir, { recursive: true, force: true });
+    storage = new LocalStorage({ rootDir: bucketDir });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      await storage.save('Archivos_sheets/HOME_RD_1.xlsx', 'a');
+      await storage.save('Archivos_sheets/sub/HOME_RD_2.xlsx', 'b');
+      await storage.save('Errores/HOME_RD_0.xlsx', 'c');
+      await storage.save('raiz.txt', 'd');
+    });
+
+    it('lista solo los archivos del prefijo, incluidas las subcarpetas', async () => {
+      const names = (await storage.list('Archivos_sheets/')).map(entry => entry.name).sort();
+      assert.deepEqual(names, ['Archivos_sheets/HOME_RD_1.xlsx', 'Archivos_sheets/sub/HOME_RD_2.xlsx']);
+    });
+
+    it('acepta prefijos que cortan un nombre de archivo', async () => {
+      const names = (await storage.list('Archivos_sheets/HOME')).map(entry => entry.name);
+      assert.deepEqual(names, ['Archivos_sheets/HOME_RD_1.xlsx']);
+    });
+
+    it('sin prefijo lista todo el almacenamiento', async () => {
+      assert.equal((await storage.list()).length, 4);
+    });
+
+    it('un prefijo inexistente devuelve una lista vacía', async () => {
+      assert.deepEqual(await storage.list('NoExiste/'), []);
+    });
+
+    it('devuelve la metadata de cada archivo', async () => {
+      const [entry] = await storage.list('Errores/');
+      assert.equal(entry.size, 1);
+      assert.ok(entry.updated instanceof Date);
+    });
+  });
+
+  describe('move', () => {
+    it('mueve el archivo creando la carpeta destino', async () => {
+      await storage.save('Archivos_sheets/HOME_RD_1.xlsx', 'contenido');
+      await storage.move('Archivos_sheets/HOME_RD_1.xlsx', 'Publicaciones_json_vtex/HOME_RD_1.xlsx');
+
+      assert.equal(await storage.exists('Archivos_sheets/HOME_RD_1.xlsx'), false);
+      assert.equal((await storage.read('Publicaciones_json_vtex/HOME_RD_1.xlsx')).toString(), 'contenido');
+    });
+
+    it('no permite rutas fuera del directorio raíz', async () => {
+      await storage.save('a.txt', 'x');
+      await assert.rejects(storage.move('a.txt', '../fuera.txt'), /fuera del almacenamiento/);
+      assert.equal(fs.existsSync(path.join(bucketDir, '..', 'fuera.txt')), false);
+    });
+  });
+
+  describe('escrituras condicionales', () => {
+    it('createIfAbsent solo crea el archivo la primera vez', async () => {
+      assert.equal(await storage.createIfAbsent('Locks/l.json', 'uno'), true);
+      assert.equal(await storage.createIfAbsent('Locks/l.json', 'dos'), false);
+      assert.equal((await storage.read('Locks/l.json')).toString(), 'uno');
+    });
+
+    it('replaceIfGeneration reemplaza solo si el archivo no cambió desde que se leyó', async () => {
+      await storage.save('Locks/l.json', 'uno');
+      const { generation } = await storage.readVersioned('Locks/l.json');
+
+      assert.equal(await storage.replaceIfGeneration('Locks/l.json', 'dos', generation), true);
+      assert.equal(await storage.replaceIfGeneration('Locks/l.json', 'tres', generation), false);
+      assert.equal((await storage.read('Locks/l.json')).toString(), 'dos');
+    });
+
+    it('deleteIfGeneration no borra un archivo que cambió', async () => {
+      await storage.save('Locks/l.json', 'uno');
+      const { generation } = await storage.readVersioned('Locks/l.json');
+      await storage.save('Locks/l.json', 'otro contenido');
+
+      assert.equal(await storage.deleteIfGeneration('Locks/l.json', generation), false);
+      assert.equal(await storage.exists('Locks/l.json'), true);
+
+      const current = await storage.readVersioned('Locks/l.json');
+      assert.equal(await storage.deleteIfGeneration('Locks/l.json', current.generation), true);
+      assert.equal(await storage.exists('Locks/l.json'), false);
+    });
+
+    it('readVersioned devuelve null si el archivo no existe', async () => {
+      assert.equal(await storage.readVersioned('Locks/nada.json'), null);
+    });
+  });
+});
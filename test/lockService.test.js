@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment } = require('./helpers');
+
+const { bucketDir } = useTestEnvironment();
+const lockService = require('../src/services/lockService');
+const { getStorage } = require('../src/services/storage');
+
+// Dos instancias del servicio (dos réplicas) con un lease corto
+const LockService = lockService.constructor;
+const createInstance = (ttlSeconds = 0.2) => new LockService({ enabled: true, ttlSeconds });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('lockService', () => {
+  beforeEach(() => {
+    fs.rmSync(bucketDir, { recursive: true, force: true });
+  });
+
+  it('una segunda instancia no toma un lease vigente y ve quién lo tiene', async () => {
+    const first = createInstance(60);
+    const second = createInstance(60);
+
+    const { lease } = await first.acquirePipeline('cron');
+    assert.ok(lease);
+
+    const taken = await second.acquirePipeline('api', { sourceFile: 'HOME_RD_1.xlsx' });
+    assert.equal(taken.lease, null);
+    assert.equal(taken.holder.owner, first.owner);
+    assert.equal(taken.holder.purpose, 'cron');
+
+    await lease.release();
+    const { lease: next } = await second.acquirePipeline('api');
+    assert.ok(next);
+    await next.release();
+  });
+
+  it('un lease vencido lo toma otra instancia', async () => {
+    const first = createInstance();
+    const second = createInstance();
+
+    const { lease: stale } = await first.acquirePipeline('cron');
+    stale.stopRenewing(); // La instancia dueña "murió" sin liberarlo
+    await sleep(250);
+
+    const { lease, holder } = await second.acquirePipeline('cron');
+    assert.ok(lease);
+    assert.equal(holder, null);
+
+    const record = JSON.parse((await getStorage().read('Locks/pipeline.json')).toString());
+    assert.equal(record.owner, second.owner);
+
+    // El dueño anterior ya no puede liberar el lease de otra instancia
+    await stale.release();
+    assert.equal(await getStorage().exists('Locks/pipeline.json'), true);
+    await lease.release();
+    assert.equal(await getStorage().exists('Locks/pipeline.json'), false);
+  });
+
+  it('un lease ilegible se reemplaza', async () => {
+    await getStorage().save('Locks/pipeline.json', 'no es json');
+    const { lease } = await createInstance(60).acquirePipeline('cron');
+    assert.ok(lease);
+    await lease.release();
+  });
+
+  it('deshabilitado siempre entrega un lease sin tocar el almacenamiento', async () => {
+    const disabled = new LockService({ enabled: false, ttlSeconds: 60 });
+    const { lease } = await disabled.acquirePipeline('cron');
+    assert.ok(lease);
+    assert.equal(await getStorage().exists('Locks/pipeline.json'), false);
+    await lease.release();
+  });
+});
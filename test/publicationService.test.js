@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnvironment, startFakeVtex } = require('./helpers');
+
+const { rootDir, bucketDir } = useTestEnvironment();
+
+describe('publicationService: rollback', () => {
+  let vtex;
+  let publicationService;
+  let getStorage;
+
+  before(async () => {
+    vtex = await startFakeVtex(rootDir);
+    publicationService = require('../src/services/publicationService');
+    ({ getStorage } = require('../src/services/storage'));
+  });
+
+  after(() => vtex.close());
+
+  beforeEach(() => {
+    fs.rmSync(bucketDir, { recursive: true, force: true });
+    vtex.requests.length = 0;
+    vtex.setHandler(() => ({ status: 200 }));
+  });
+
+  /**
+   * Registra una versión publicada de sellers.json con su copia archivada
+   * El contenido lleva la etiqueta para reconocer qué versión se subió al portal
+   */
+  const publish = async (label, environment = 'RD') => {
+    const account = environment === 'RD' ? 'promartrd' : 'promart';
+    const archivePath = `Publicaciones_json_vtex/sellers_${account}_${label}.json`;
+    await getStorage().save(archivePath, JSON.stringify({
+      metadata: { sourceFile: `SELLERS_${environment}_${label}.xlsx` },
+      data: [label]
+    }));
+    return publicationService.recordVersion({
+      fileType: 'sellers',
+      fileName: 'sellers.json',
+      account,
+      environment,
+      portalPath: '/portal/pvt/sites/x/files/sellers.json',
+      archivePath,
+      checksum: label
+    });
+  };
+
+  // Etiqueta del contenido de la última subida al portal
+  const lastUploadedLabel = () => JSON.parse(vtex.requests[vtex.requests.length - 1].body.text).data[0];
+
+  it('sin versionId restaura la versión previa a la vigente', async () => {
+    const first = await publish('v1');
+    await publish('v2');
+
+    const { restored, version } = await publicationService.rollback('sellers.json');
+    assert.equal(restored.id, first.id);
+    assert.equal(version.rollbackOf, first.id);
+    assert.equal(version.trigger, 'rollback');
+    assert.equal(lastUploadedLabel(), 'v1');
+  });
+
+  it('un segundo rollback no vuelve a publicar la versión que se acaba de revertir', async () => {
+    const first = await publish('v1');
+    const second = await publish('v2');
+    await publish('v3');
+
+    const rolledBack = await publicationService.rollback('sellers.json');
+    assert.equal(rolledBack.restored.id, second.id);
+
+    const again = await publicationService.rollback('sellers.json');
+    assert.equal(again.restored.id, first.id);
+    assert.equal(lastUploadedLabel(), 'v1');
+
+    // Ya no queda nada anterior a v1
+    await assert.rejects(publicationService.rollback('sellers.json'), error => error.statusCode === 404);
+  });
+
+  it('una publicación nueva después de un rollback vuelve a la versión restaurada', async () => {
+    const first = await publish('v1');
+    await publish('v2');
+    const { version: restored } = await publicationService.rollback('sellers.json');
+    await publish('v3');
+
+    const target = await publicationService.resolveRollbackTarget('sellers.json');
+    assert.equal(target.id, restored.id);
+    assert.equal(target.rollbackOf, first.id);
+  });
+
+  it('con una sola versión no hay a qué volver', async () => {
+    await publish('v1');
+    await assert.rejects(publicationService.resolveRollbackTarget('sellers.json'), error => error.statusCode === 404);
+  });
+
+  it('con versiones en varias cuentas exige account', async () => {
+    const first = await publish('v1');
+    await publish('v2');
+    await publish('p1', 'PRD');
+
+    await assert.rejects(
+      publicationService.resolveRollbackTarget('sellers.json'),
+      error => error.type === 'VALIDATION_ERROR' && error.field === 'account'
+    );
+    const target = await publicationService.resolveRollbackTarget('sellers.json', { account: 'promartrd' });
+    assert.equal(target.id, first.id);
+  });
+
+  it('con versionId restaura esa versión y rechaza un account distinto', async () => {
+    const first = await publish('v1');
+    await publish('v2');
+
+    const target = await publicationService.resolveRollbackTarget('sellers.json', { versionId: first.id, account: 'promartrd' });
+    assert.equal(target.id, first.id);
+
+    await assert.rejects(
+      publicationService.resolveRollbackTarget('sellers.json', { versionId: first.id, account: 'promart' }),
+      error => error.statusCode === 400 && error.field === 'account'
+    );
+    await assert.rejects(
+      publicationService.resolveRollbackTarget('otro.json', { versionId: first.id }),
+      error => error.statusCode === 404
+    );
+  });
+
+  it('si el portal rechaza la subida no registra la versión', async () => {
+    await publish('v1');
+    await publish('v2');
+    vtex.setHandler(() => ({ status: 400 }));
+
+    await assert.rejects(publicationService.rollback('sellers.json'), error => error.type === 'VTEX_ERROR');
+    assert.equal((await publicationService.listVersions('sellers.json')).length, 2);
+  });
+});
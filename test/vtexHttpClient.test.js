@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, startFakeVtex } = require('./helpers');
+
+const { rootDir } = useTestEnvironment();
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('vtexHttpClient', () => {
+  let vtex;
+  let VtexHttpClient;
+
+  before(async () => {
+    vtex = await startFakeVtex(rootDir);
+    VtexHttpClient = require('../src/services/vtexHttpClient').constructor;
+  });
+
+  after(() => vtex.close());
+
+  beforeEach(() => {
+    vtex.requests.length = 0;
+  });
+
+  /**
+   * Cliente con reintentos rápidos y un breaker propio
+   */
+  const createClient = (overrides = {}) => {
+    const client = new VtexHttpClient({
+      maxRetries: 3,
+      baseDelayMs: 5,
+      maxDelayMs: 1000,
+      circuitBreaker: { threshold: 10, cooldownMs: 200 },
+      ...overrides
+    });
+    return { client, http: client.create({ baseURL: vtex.baseUrl }) };
+  };
+
+  // Responde en orden con los códigos indicados (el último se repite)
+  const respondWith = (...responses) => {
+    let index = 0;
+    vtex.setHandler(() => {
+      const response = responses[Math.min(index++, responses.length - 1)];
+      return typeof response === 'number' ? { status: response } : response;
+    });
+  };
+
+  describe('reintentos', () => {
+    it('reintenta los 5xx y devuelve la respuesta que funcionó', async () => {
+      respondWith(503, 502, 200);
+      const { http } = createClient();
+
+      const response = await http.get('/x');
+      assert.equal(response.status, 200);
+      assert.equal(vtex.requests.length, 3);
+    });
+
+    it('no reintenta los 4xx ni los cuenta como fallos de VTEX', async () => {
+      respondWith(400);
+      const { client, http } = createClient();
+
+      await assert.rejects(http.get('/x'), error => error.response.status === 400);
+      assert.equal(vtex.requests.length, 1);
+      assert.equal(client.getStatus().consecutiveFailures, 0);
+    });
+
+    it('se rinde después de maxRetries', async () => {
+      respondWith(500);
+      const { client, http } = createClient({ maxRetries: 2 });
+
+      await assert.rejects(http.get('/x'), error => error.response.status === 500);
+      assert.equal(vtex.requests.length, 3);
+      assert.equal(client.getStatus().consecutiveFailures, 1);
+    });
+
+    it('respeta el Retry-After de un 429', async () => {
+      respondWith({ status: 429, headers: { 'Retry-After': '0.3' } }, 200);
+      const { http } = createClient();
+
+      const startedAt = Date.now();
+      await http.get('/x');
+      assert.ok(Date.now() - startedAt >= 280, 'esperó el Retry-After');
+      assert.equal(vtex.requests.length, 2);
+    });
+
+    it('no reintenta si el Retry-After supera la espera máxima', async () => {
+      respondWith({ status: 429, headers: { 'Retry-After': '120' } }, 200);
+      const { http } = createClient();
+
+      await assert.rejects(http.get('/x'), error => error.response.status === 429);
+      assert.equal(vtex.requests.length, 1);
+    });
+
+    it('interpreta Retry-After en segundos o como fecha HTTP', () => {
+      const { client } = createClient();
+      assert.equal(client.parseRetryAfter('2'), 2000);
+      assert.equal(client.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+      assert.equal(client.parseRetryAfter('mañana'), null);
+      assert.equal(client.parseRetryAfter(undefined), null);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const openBreaker = async (http, times) => {
+      for (let i = 0; i < times; i++) {
+        await assert.rejects(http.get('/x'));
+      }
+    };
+
+    it('se abre tras los fallos seguidos y corta sin llamar a VTEX', async () => {
+      respondWith(500);
+      const { client, http } = createClient({ maxRetries: 0, circuitBreaker: { threshold: 2, cooldownMs: 60000 } });
+
+      await openBreaker(http, 2);
+      assert.equal(client.isOpen(), true);
+
+      vtex.requests.length = 0;
+      await assert.rejects(http.get('/x'), error => error.type === 'VTEX_ERROR' && error.statusCode === 503);
+      assert.equal(vtex.requests.length, 0);
+    });
+
+    it('isOpen no cambia el estado del breaker', async () => {
+      respondWith(500);
+      const { client, http } = createClient({ maxRetries: 0, circuitBreaker: { threshold: 1, cooldownMs: 100 } });
+
+      await openBreaker(http, 1);
+      await sleep(120);
+      assert.equal(client.isOpen(), false);
+      assert.equal(client.getStatus().state, 'open');
+    });
+
+    it('en prueba deja pasar un solo request a la vez y se cierra si funciona', async () => {
+      respondWith(500);
+      const { client, http } = createClient({ maxRetries: 0, circuitBreaker: { threshold: 1, cooldownMs: 100 } });
+      await openBreaker(http, 1);
+      await sleep(120);
+
+      vtex.requests.length = 0;
+      vtex.setHandler(async () => {
+        await sleep(100);
+        return { status: 200 };
+      });
+      const results = await Promise.allSettled([http.get('/x'), http.get('/x'), http.get('/x')]);
+
+      assert.equal(vtex.requests.length, 1);
+      assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+      assert.match(results[1].reason.message, /request de prueba en curso/);
+      assert.equal(client.getStatus().state, 'closed');
+      assert.equal(client.isOpen(), false);
+    });
+
+    it('si el request de prueba falla vuelve a abrirse', async () => {
+      respondWith(500);
+      const { client, http } = createClient({ maxRetries: 0, circuitBreaker: { threshold: 1, cooldownMs: 100 } });
+      await openBreaker(http, 1);
+      await sleep(120);
+
+      await assert.rejects(http.get('/x'), error => error.response.status === 500);
+      assert.equal(client.getStatus().state, 'open');
+      assert.equal(client.getStatus().probeInFlight, false);
+      assert.equal(client.isOpen(), true);
+    });
+  });
+});